@@ -21,6 +21,12 @@ import { Monitoring } from './src/utils/monitoring.js';
 import { ProviderManager } from './src/utils/providerManager.js';
 import { TemplateManager } from './src/utils/templateManager.js';
 import { SPOT } from './src/SPOT.js';
+import { ArticlePipeline } from './src/pipelines/articlePipeline.js';
+import {
+  listWorkflows,
+  loadWorkflow,
+  WorkflowExecutor,
+} from './src/pipelines/workflow.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -116,27 +122,27 @@ class InteractiveMenu {
     // Define templates with their descriptions
     const templates = [
       {
-        name: 'draft_scaffold@1.0.0',
+        name: 'draft_scaffold',
         purpose:
           'Brief → Scaffold (JSON) - Create content outlines from briefs',
       },
       {
-        name: 'section_expand@1.0.0',
+        name: 'section_expand',
         purpose:
           'Section → Draft prose - Expand scaffolds into detailed content',
       },
       {
-        name: 'repurpose_pack@1.0.0',
+        name: 'repurpose_pack',
         purpose:
           'Multi-channel repurposing - Adapt content for different platforms',
       },
       {
-        name: 'rewrite_localize@1.0.0',
+        name: 'rewrite_localize',
         purpose:
           'Rewrite/localize text with constraints - Adapt content for different audiences',
       },
       {
-        name: 'summarize_grounded@1.0.0',
+        name: 'summarize_grounded',
         purpose:
           'Summarize with timestamped citations - Extract key points from transcripts',
       },
@@ -258,7 +264,7 @@ class InteractiveMenu {
     try {
       // Special handling for section_expand template with JSON input files
       if (
-        templateName.trim() === 'section_expand@1.0.0' &&
+        templateName.trim().split('@')[0] === 'section_expand' &&
         inputFilePath.endsWith('.json')
       ) {
         const fs = await import('fs');
@@ -538,11 +544,11 @@ class InteractiveMenu {
         // Run standard evaluation suite
         console.log('\nAvailable templates for evaluation:');
         console.log('0. All templates');
-        console.log('1. draft_scaffold@1.0.0 - Brief → Scaffold (JSON)');
-        console.log('2. section_expand@1.0.0 - Section → Draft prose');
-        console.log('3. repurpose_pack@1.0.0 - Multi-channel repurposing');
-        console.log('4. rewrite_localize@1.0.0 - Rewrite/localize text');
-        console.log('5. summarize_grounded@1.0.0 - Summarize with citations');
+        console.log('1. draft_scaffold - Brief → Scaffold (JSON)');
+        console.log('2. section_expand - Section → Draft prose');
+        console.log('3. repurpose_pack - Multi-channel repurposing');
+        console.log('4. rewrite_localize - Rewrite/localize text');
+        console.log('5. summarize_grounded - Summarize with citations');
 
         const templateChoice = await this.prompt(
           'Enter template number (0 for all, 1-5 for specific): '
@@ -556,11 +562,11 @@ class InteractiveMenu {
           templateName = '';
         } else if (templateNumber >= 1 && templateNumber <= 5) {
           const templateNames = [
-            'draft_scaffold@1.0.0',
-            'section_expand@1.0.0',
-            'repurpose_pack@1.0.0',
-            'rewrite_localize@1.0.0',
-            'summarize_grounded@1.0.0',
+            'draft_scaffold',
+            'section_expand',
+            'repurpose_pack',
+            'rewrite_localize',
+            'summarize_grounded',
           ];
           templateName = templateNames[templateNumber - 1];
         } else {
@@ -599,11 +605,11 @@ class InteractiveMenu {
     console.log('\n🚀 Generate Content:');
     console.log('   Uses AI templates to generate content from input files.');
     console.log('   Available templates:');
-    console.log('   • draft_scaffold@1.0.0 - Create content scaffolds');
-    console.log('   • repurpose_pack@1.0.0 - Repurpose existing content');
-    console.log('   • rewrite_localize@1.0.0 - Rewrite and localize content');
-    console.log('   • section_expand@1.0.0 - Expand content sections');
-    console.log('   • summarize_grounded@1.0.0 - Create grounded summaries');
+    console.log('   • draft_scaffold - Create content scaffolds');
+    console.log('   • repurpose_pack - Repurpose existing content');
+    console.log('   • rewrite_localize - Rewrite and localize content');
+    console.log('   • section_expand - Expand content sections');
+    console.log('   • summarize_grounded - Create grounded summaries');
 
     console.log('\n🏗️  Scaffold Content:');
     console.log('   Interactively create structured content outlines.');
@@ -809,6 +815,15 @@ class Application {
       case 'validate':
         return await this.runValidate();
 
+      case 'experiments':
+        return await this.runExperiments(args);
+
+      case 'pipeline':
+        return await this.runPipeline(args);
+
+      case 'workflow':
+        return await this.runWorkflow(args);
+
       case 'help':
         this.showHelp();
         return;
@@ -882,9 +897,12 @@ class Application {
         await this.components.templateManager.validateAllTemplates();
       console.log('Validation results:', validation);
 
-      const hasErrors = validation.some(
-        (result) => result.status === 'invalid'
-      );
+      const workflows = await listWorkflows();
+      console.log('Workflow validation:', workflows);
+
+      const hasErrors =
+        validation.some((result) => result.status === 'invalid') ||
+        workflows.some((workflow) => workflow.error);
       if (hasErrors) {
         process.exit(1);
       }
@@ -894,6 +912,224 @@ class Application {
     }
   }
 
+  async runExperiments(args) {
+    const [action = 'list', experimentId, ...rest] = args;
+    const templateManager = this.components.templateManager;
+
+    try {
+      switch (action) {
+        case 'list':
+          console.log(
+            JSON.stringify(templateManager.listExperiments(), null, 2)
+          );
+          return;
+
+        case 'start': {
+          // experiments start <id> <template> <template> [--metric name]
+          const metricIndex = rest.indexOf('--metric');
+          const metric = metricIndex === -1 ? undefined : rest[metricIndex + 1];
+          const templates =
+            metricIndex === -1
+              ? rest
+              : rest.filter(
+                  (arg, index) =>
+                    index !== metricIndex && index !== metricIndex + 1
+                );
+          const experiment = templateManager.startExperiment(
+            experimentId,
+            templates,
+            {},
+            { metric }
+          );
+          console.log(JSON.stringify(experiment, null, 2));
+          return;
+        }
+
+        case 'show':
+        case 'stop': {
+          if (action === 'stop') templateManager.stopExperiment(experimentId);
+          const results = templateManager.getExperimentResults(experimentId);
+          if (!results) {
+            console.error(`Experiment not found: ${experimentId}`);
+            process.exit(1);
+          }
+          console.log(JSON.stringify(results, null, 2));
+          return;
+        }
+
+        default:
+          console.error(
+            'Usage: experiments [list | start <id> <template> <template> [--metric name] | show <id> | stop <id>]'
+          );
+          process.exit(1);
+      }
+    } catch (error) {
+      console.error('Experiment command failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  async runPipeline(args) {
+    // pipeline <brief.json> [--provider name] [--output_dir dir]
+    //   [--repurpose] [--channels x,linkedin] [--thread] [--enforce_channels]
+    const [briefFile] = args;
+    const flags = {};
+    for (let i = 1; i < args.length; i++) {
+      if (!args[i].startsWith('--')) continue;
+      const key = args[i].slice(2);
+      flags[key] =
+        i + 1 < args.length && !args[i + 1].startsWith('--') ? args[++i] : true;
+    }
+
+    if (!briefFile) {
+      console.error(
+        'Usage: pipeline <brief.json> [--provider name] [--output_dir dir] [--repurpose] [--channels x,linkedin] [--thread] [--enforce_channels]'
+      );
+      process.exit(1);
+    }
+
+    try {
+      const brief = JSON.parse(
+        fs.readFileSync(path.resolve(briefFile), 'utf8')
+      );
+      const pipeline = new ArticlePipeline(this.components.spot, {
+        outputDir: flags.output_dir,
+      });
+      const run = await pipeline.run(brief, {
+        provider: flags.provider,
+        repurpose: Boolean(flags.repurpose || flags.channels),
+        channels:
+          typeof flags.channels === 'string' ? flags.channels : undefined,
+        thread: Boolean(flags.thread),
+        enforceChannels: Boolean(flags.enforce_channels),
+        onStep: (step, info) => {
+          if (info.status === 'section') {
+            console.log(`   ${info.section}/${info.sections} ${info.heading}`);
+          } else if (info.status === 'started') {
+            console.log(`⏳ ${step}...`);
+          }
+        },
+      });
+
+      const { style } = run;
+      console.log(`\n✅ ${run.title}`);
+      console.log(
+        `Style: ${style.banned.length} banned term(s), ${
+          style.missingRequired.length
+        } missing required term(s), reading level ${style.readingLevel}${
+          style.readingLevelOk ? '' : ' (outside the target band)'
+        }`
+      );
+      for (const violation of run.repurposed?.channels?.violations || []) {
+        console.log(`Warning: ${violation.message}`);
+      }
+      console.log(`Artifacts: ${path.relative(process.cwd(), run.dir) || '.'}`);
+      for (const file of Object.values(run.manifest.files).flat()) {
+        console.log(`  ${file}`);
+      }
+    } catch (error) {
+      this.components.observability.error('Pipeline failed:', error);
+      console.error('Pipeline failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  async runWorkflow(args) {
+    // workflow list | validate <name> | run <name|file> [--inputs file.json]
+    //   [--input key=value ...] [--provider name] [--output file]
+    const [action = 'list', ref] = args;
+    const flags = { input: [] };
+    for (let i = 2; i < args.length; i++) {
+      if (!args[i].startsWith('--')) continue;
+      const key = args[i].slice(2);
+      const value =
+        i + 1 < args.length && !args[i + 1].startsWith('--') ? args[++i] : true;
+      if (key === 'input') flags.input.push(value);
+      else flags[key] = value;
+    }
+
+    try {
+      switch (action) {
+        case 'list':
+          console.log(JSON.stringify(await listWorkflows(), null, 2));
+          return;
+
+        case 'validate': {
+          const workflow = await loadWorkflow(ref);
+          console.log(
+            `✅ ${workflow.name}: ${workflow.steps
+              .map((step) => step.id)
+              .join(' → ')}`
+          );
+          return;
+        }
+
+        case 'run': {
+          if (!ref) break;
+          const inputs = flags.inputs
+            ? JSON.parse(fs.readFileSync(path.resolve(flags.inputs), 'utf8'))
+            : {};
+          for (const pair of flags.input) {
+            const [key, ...rest] = String(pair).split('=');
+            inputs[key] = this.workflowInputValue(rest.join('='));
+          }
+
+          const run = await new WorkflowExecutor(this.components.spot).run(
+            ref,
+            inputs,
+            {
+              provider:
+                typeof flags.provider === 'string' ? flags.provider : undefined,
+              onStep: (id, info) => {
+                if (info.status === 'started') console.log(`⏳ ${id}...`);
+                else if (info.status === 'skipped') {
+                  console.log(`⏭️  ${id} skipped`);
+                } else if (info.status === 'failed') {
+                  console.log(`⚠️  ${id} failed: ${info.error}`);
+                }
+              },
+            }
+          );
+
+          const json = JSON.stringify(run, null, 2);
+          if (typeof flags.output === 'string') {
+            fs.writeFileSync(path.resolve(flags.output), json + '\n');
+            console.log(
+              `\n✅ ${run.workflow}: ${run.status} (${flags.output})`
+            );
+          } else {
+            console.log(json);
+          }
+          return;
+        }
+      }
+
+      console.error(
+        'Usage: workflow [list | validate <name> | run <name|file> [--inputs file.json] [--input key=value] [--provider name] [--output file]]'
+      );
+      process.exit(1);
+    } catch (error) {
+      console.error('Workflow failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  // --input values: "@file" reads a file, and JSON lists and objects are
+  // parsed, so --input locales='["en-GB","fr-FR"]' is a list
+  workflowInputValue(value) {
+    if (value.startsWith('@')) {
+      return fs.readFileSync(path.resolve(value.slice(1)), 'utf8');
+    }
+    if (/^[[{]/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    }
+    return value;
+  }
+
   showHelp() {
     console.log(`
 SPOT - AI-Powered Content Generation
@@ -908,14 +1144,30 @@ Commands:
   generate <template> <input> [output]  Generate content using specified template
   evaluate [template]        Run evaluation tests
   validate                   Validate all templates and configurations
+  experiments [list]         List A/B experiments
+  experiments start <id> <template> <template> [--metric name]
+                             Start an A/B experiment (first template is the control)
+  experiments show <id>      Show experiment results and significance
+  experiments stop <id>      Stop an experiment and show final results
+  pipeline <brief.json> [--repurpose] [--channels list] [--output_dir dir]
+                             Scaffold a brief, expand every section, assemble and
+                             lint the article, and optionally repurpose it
+  workflow [list]            List the workflows in workflows/
+  workflow validate <name>   Check a workflow definition
+  workflow run <name|file> [--input key=value] [--inputs file.json]
+                             Run a workflow's steps and print the run as JSON
   help                       Show this help message
 
 Examples:
   node app.js                # Start interactive menu
   node app.js health
-  node app.js generate repurpose_pack@1.0.0 input.json output.json
+  node app.js generate repurpose_pack input.json output.json
+  node app.js generate repurpose_pack@^1 input.json output.json
   node app.js evaluate
   node app.js validate
+  node app.js pipeline golden_set/briefs/brief1.json --channels x,linkedin
+  node app.js workflow run brief-to-social --input topic="privacy analytics"
+  node app.js experiments start tone-test draft_scaffold@1.0.0 draft_scaffold@1.1.0 --metric lintPassRate
 
 Environment Variables:
   NODE_ENV                   Application environment (development/production)
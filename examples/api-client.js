@@ -106,7 +106,7 @@ class SPOTAPIClient {
     return this.request('/api/v1/rewrite', {
       method: 'POST',
       body: {
-        text,
+        original_text: text,
         audience,
         tone,
         grade_level: gradeLevel,
@@ -116,17 +116,18 @@ class SPOTAPIClient {
     });
   }
 
-  async summarize(content, mode = 'standard') {
+  async summarize(transcriptText, mode = 'executive') {
     return this.request('/api/v1/summarize', {
       method: 'POST',
-      body: { content, mode },
+      body: { transcript_text: transcriptText, mode },
     });
   }
 
-  async repurpose(content, channels = ['email', 'social', 'blog']) {
+  // channelConstraints defaults to the server's configs/channels.json
+  async repurpose(markdown, channelConstraints = undefined) {
     return this.request('/api/v1/repurpose', {
       method: 'POST',
-      body: { content, channels },
+      body: { markdown, channel_constraints: channelConstraints },
     });
   }
 
@@ -293,11 +294,7 @@ async function contentWorkflowExample() {
 
       // Step 4: Repurpose for different channels
       console.log('Step 4: Repurposing content...');
-      const repurposed = await client.repurpose(expanded.expanded.content, [
-        'email',
-        'social',
-        'blog',
-      ]);
+      const repurposed = await client.repurpose(expanded.expanded.content);
       console.log('✅ Content repurposed for multiple channels\n');
 
       console.log('🎉 Complete workflow finished successfully!');
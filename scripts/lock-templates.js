@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Template Lockfile Script
+ *
+ * Pins every template in prompts/ to its newest version in
+ * templates.lock.json. Bare template names (e.g. draft_scaffold) resolve to
+ * the pinned version, so shipping a new prompt version is a lockfile change
+ * rather than a code change.
+ */
+
+import path from 'path';
+import {
+  DEFAULT_LOCKFILE,
+  DEFAULT_TEMPLATE_DIR,
+  loadLockfile,
+  writeLockfile,
+} from '../src/utils/templateResolver.js';
+
+const previous = loadLockfile(DEFAULT_LOCKFILE);
+const templates = writeLockfile(DEFAULT_TEMPLATE_DIR, DEFAULT_LOCKFILE);
+
+console.log(`Updated ${path.basename(DEFAULT_LOCKFILE)}:`);
+for (const [name, version] of Object.entries(templates)) {
+  const change =
+    previous[name] && previous[name] !== version
+      ? ` (was ${previous[name]})`
+      : previous[name]
+      ? ''
+      : ' (new)';
+  console.log(`  ${name}@${version}${change}`);
+}
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * YAML Parser Check
+ *
+ * Parses a set of YAML samples covering the supported subset (block
+ * scalars, "- key: value" items, flow collections, comments and quoting)
+ * and compares them with the expected values, checks that invalid input is
+ * rejected with the right line, and loads every workflows/*.yaml file.
+ * Lists every failure and exits non-zero when any check fails.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { parseYaml } from '../src/utils/yaml.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SAMPLES = [
+  {
+    name: 'scalars',
+    yaml: [
+      'name: plain text',
+      'count: 42',
+      'ratio: -1.5e2',
+      'enabled: true',
+      'disabled: False',
+      'empty:',
+      'tilde: ~',
+      'version: 1.0.0',
+      "time: '00:13:22'",
+    ],
+    expected: {
+      name: 'plain text',
+      count: 42,
+      ratio: -150,
+      enabled: true,
+      disabled: false,
+      empty: null,
+      tilde: null,
+      version: '1.0.0',
+      time: '00:13:22',
+    },
+  },
+  {
+    name: 'quoted strings',
+    yaml: [
+      'double: "tab\\there \\u00e9 \\"quoted\\""',
+      "single: 'it''s \\n literal'",
+      '"quoted key": value',
+      'url: https://example.com/a:b',
+    ],
+    expected: {
+      double: 'tab\there é "quoted"',
+      single: "it's \\n literal",
+      'quoted key': 'value',
+      url: 'https://example.com/a:b',
+    },
+  },
+  {
+    name: 'comments',
+    yaml: [
+      '# leading comment',
+      'title: Weekly sync # trailing comment',
+      'hash: "# not a comment"',
+      "single: 'a # b'",
+      'tag: C#',
+      'link: https://example.com/#section',
+      '---',
+    ],
+    expected: {
+      title: 'Weekly sync',
+      hash: '# not a comment',
+      single: 'a # b',
+      tag: 'C#',
+      link: 'https://example.com/#section',
+    },
+  },
+  {
+    name: 'nested mappings and sequences',
+    yaml: [
+      'inputs:',
+      '  transcript:',
+      '    type: string',
+      '    required: true',
+      'channels:',
+      '- x',
+      '- linkedin',
+      'locales:',
+      '  - fr-FR',
+      '  - de-DE',
+    ],
+    expected: {
+      inputs: { transcript: { type: 'string', required: true } },
+      channels: ['x', 'linkedin'],
+      locales: ['fr-FR', 'de-DE'],
+    },
+  },
+  {
+    name: '"- key: value" items',
+    yaml: [
+      'steps:',
+      '  - id: summary',
+      '    template: summarize_grounded',
+      '    input:',
+      '      mode: executive',
+      '  - id: localize',
+      '    for_each: "{inputs.locales}"',
+      '    continue_on_error: true',
+      '  -',
+      '    id: nested',
+    ],
+    expected: {
+      steps: [
+        {
+          id: 'summary',
+          template: 'summarize_grounded',
+          input: { mode: 'executive' },
+        },
+        {
+          id: 'localize',
+          for_each: '{inputs.locales}',
+          continue_on_error: true,
+        },
+        { id: 'nested' },
+      ],
+    },
+  },
+  {
+    name: 'flow collections',
+    yaml: [
+      'list: [a, "b, c", 3, [nested, true]]',
+      'map: { value: "{steps.summary.output.items}", gt: 2 }',
+      'empty: { }',
+      "mixed: [{ a: 1 }, { b: 'x' }]",
+    ],
+    expected: {
+      list: ['a', 'b, c', 3, ['nested', true]],
+      map: { value: '{steps.summary.output.items}', gt: 2 },
+      empty: {},
+      mixed: [{ a: 1 }, { b: 'x' }],
+    },
+  },
+  {
+    name: 'block scalars',
+    yaml: [
+      'literal: |',
+      '  line one',
+      '    indented',
+      '',
+      '  line three',
+      'folded: >',
+      '  folded',
+      '  text',
+      '',
+      '  new paragraph',
+      'strip: |-',
+      '  no newline',
+      'keep: |+',
+      '  kept',
+      '',
+      'last: >-',
+      '  end',
+    ],
+    expected: {
+      literal: 'line one\n  indented\n\nline three\n',
+      folded: 'folded text\nnew paragraph\n',
+      strip: 'no newline',
+      keep: 'kept\n\n',
+      last: 'end',
+    },
+  },
+  {
+    name: 'block scalar in a sequence item',
+    yaml: ['- prompt: |', '    Summarize', '    briefly', '  id: a', '- b'],
+    expected: [{ prompt: 'Summarize\nbriefly\n', id: 'a' }, 'b'],
+  },
+  { name: 'empty document', yaml: ['# nothing', ''], expected: null },
+  { name: 'top-level scalar', yaml: ['"just text"'], expected: 'just text' },
+];
+
+// Invalid input: the error must name this line
+const INVALID = [
+  { name: 'duplicate key', yaml: ['a: 1', 'a: 2'], line: 2 },
+  { name: 'bad indentation', yaml: ['a:', '  b: 1', '    c: 2'], line: 3 },
+  { name: 'tab indentation', yaml: ['a:', '\tb: 1'], line: 2 },
+  { name: 'unterminated string', yaml: ['a: "open'], line: 1 },
+  { name: 'unclosed flow', yaml: ['a: [1, 2'], line: 1 },
+  { name: 'text after value', yaml: ['a: "x" y'], line: 1 },
+  { name: 'nested dash items', yaml: ['- - a'], line: 1 },
+  { name: 'not a mapping', yaml: ['a: 1', 'b'], line: 2 },
+];
+
+const failures = [];
+
+for (const sample of SAMPLES) {
+  try {
+    const actual = parseYaml(sample.yaml.join('\n'));
+    if (!isDeepStrictEqual(actual, sample.expected)) {
+      failures.push(
+        `${sample.name}: expected ${JSON.stringify(
+          sample.expected
+        )}, got ${JSON.stringify(actual)}`
+      );
+    }
+  } catch (error) {
+    failures.push(`${sample.name}: ${error.message}`);
+  }
+}
+
+for (const sample of INVALID) {
+  try {
+    parseYaml(sample.yaml.join('\n'));
+    failures.push(`${sample.name}: parsed without an error`);
+  } catch (error) {
+    if (error.details?.value !== sample.line) {
+      failures.push(
+        `${sample.name}: expected an error at line ${sample.line}, got "${error.message}"`
+      );
+    }
+  }
+}
+
+const workflowDir = path.join(__dirname, '../workflows');
+const workflows = fs
+  .readdirSync(workflowDir)
+  .filter((file) => /\.ya?ml$/.test(file));
+for (const file of workflows) {
+  try {
+    parseYaml(fs.readFileSync(path.join(workflowDir, file), 'utf8'));
+  } catch (error) {
+    failures.push(`workflows/${file}: ${error.message}`);
+  }
+}
+
+const total = SAMPLES.length + INVALID.length + workflows.length;
+if (failures.length > 0) {
+  console.error(`YAML check failed (${failures.length} of ${total}):`);
+  for (const failure of failures) console.error(`  - ${failure}`);
+  process.exit(1);
+}
+console.log(`YAML check passed (${total} samples)`);
@@ -7,7 +7,33 @@ import { readFile, writeFile } from 'fs/promises';
 import { join, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { compilePrompt, loadStylePack } from './utils/prompting.js';
+import {
+  buildMessages,
+  compilePrompt,
+  loadStylePack,
+} from './utils/prompting.js';
+import { UsageTracker, combineUsage, estimateTokens } from './utils/usage.js';
+import { lintStyle } from './lint/styleLinter.js';
+import { enforceChannels, validateChannels } from './lint/channelValidator.js';
+import { applyThreads } from './channels/thread.js';
+import {
+  buildRepairMessages,
+  extractJson,
+  parseStructuredOutput,
+} from './utils/structuredOutput.js';
+import {
+  contextWindowFor,
+  estimatePromptTokens,
+  mergeChunkOutputs,
+  splitIntoChunks,
+} from './utils/chunking.js';
+import { SPOTError, ValidationError } from './utils/errorHandling.js';
+import { normalizeTranscript } from './utils/transcript.js';
+import {
+  inputSchemaFor,
+  prepareInput,
+  validateInputSchema,
+} from './utils/inputSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,23 +44,53 @@ export class SPOT {
     this.templateManager = options.templateManager;
     this.config = options.config;
     this.observability = options.observability;
+    this.usageTracker =
+      options.usageTracker || new UsageTracker({ file: options.usageFile });
+    // Re-prompts allowed when output does not match the template's schema
+    this.maxRepairAttempts = options.maxRepairAttempts ?? 2;
+    // Re-prompts allowed for variants that break channel limits
+    this.maxChannelRepairAttempts = options.maxChannelRepairAttempts ?? 2;
 
     this.metrics = {
       generationsCount: 0,
       evaluationsCount: 0,
       errors: 0,
       totalLatency: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      totalCost: 0,
     };
   }
 
   /**
    * Generate content using specified template and input
+   * Optional `history` turns ({ role: 'assistant' | 'user', content }) are
+   * sent after the template's user message for multi-turn refinement.
+   * With `experimentId` (or a `userId` while an experiment runs on the
+   * template) the template version is chosen by the A/B experiment.
+   * `mapReduce` (true/false) forces or disables chunked generation, and
+   * `chunkTokens` caps the chunk size; see planChunks().
+   * `enforceChannels` re-prompts variants that break channel limits; see
+   * checkChannels().
    */
   async generate(options) {
     const startTime = Date.now();
-    const { template, inputFile, outputFile, provider, content } = options;
+    const {
+      inputFile,
+      outputFile,
+      provider,
+      content,
+      history = [],
+      experimentId,
+      userId,
+    } = options;
+    let { template } = options;
+    let experiment = null;
 
     try {
+      experiment = this.resolveExperiment(template, experimentId, userId);
+      if (experiment) template = experiment.templateId;
+
       this.observability.info('Starting content generation', {
         template,
         inputFile,
@@ -45,66 +101,57 @@ export class SPOT {
       // Load and validate template
       const templateConfig = await this.templateManager.getTemplate(template);
 
-      // Load input data
-      let inputData;
-
-      if (content) {
-        // Content provided directly (API usage)
-        inputData = content;
-      } else if (inputFile) {
-        // Content from file (CLI usage)
-        const inputPath = resolve(inputFile);
-
-        try {
-          const rawData = await readFile(inputPath, 'utf-8');
-
-          // Try to parse as JSON first
-          if (inputFile.endsWith('.json')) {
-            inputData = JSON.parse(rawData);
-          } else {
-            // For non-JSON files, create a wrapper object with common mappings
-            const fileExt = inputFile.split('.').pop();
-            inputData = {
-              content: rawData,
-              file_type: fileExt,
-              file_name: inputPath.split('/').pop(),
-
-              // Common template input mappings
-              markdown: rawData, // for repurpose_pack
-              transcript_text: rawData, // for summarize_grounded
-              text: rawData, // general text input
-              mode: 'executive', // default mode for summarize templates
-              channel_constraints: JSON.stringify({
-                // default channel constraints
-                twitter: { max_length: 280, tone: 'engaging' },
-                linkedin: { max_length: 1300, tone: 'professional' },
-                email: { max_length: 2000, tone: 'friendly' },
-              }),
-            };
-          }
-        } catch (error) {
-          throw new Error(`Failed to load input file: ${error.message}`);
-        }
-      } else {
-        throw new Error('Either content or inputFile must be provided');
-      }
-
-      // Validate input against template requirements
-      await this.validateInput(inputData, templateConfig);
+      // Load input data and validate it against the template's schema
+      const inputData = await this.validateInput(
+        await this.loadInputData({ content, inputFile }),
+        templateConfig
+      );
 
       // Get AI provider
-      const aiProvider = await this.providerManager.getProvider(
-        provider ||
-          templateConfig.provider ||
-          this.config.get('provider', 'openai')
-      );
+      const aiProvider = await this.resolveProvider(provider, templateConfig);
 
-      // Execute generation workflow
-      const result = await this.executeGeneration(
+      // Execute generation workflow. Sources too long for the model's
+      // context window are split, generated chunk by chunk and merged.
+      const chunks = await this.planChunks(
         inputData,
         templateConfig,
-        aiProvider
+        aiProvider,
+        history,
+        options
       );
+      const result = await this.checkChannels(
+        chunks
+          ? await this.executeMapReduce(
+              chunks,
+              inputData,
+              templateConfig,
+              aiProvider,
+              history
+            )
+          : await this.executeGeneration(
+              inputData,
+              templateConfig,
+              aiProvider,
+              history
+            ),
+        inputData,
+        templateConfig,
+        aiProvider,
+        history,
+        options
+      );
+
+      // Account for token usage and cost
+      const { usage, model } = result.metadata;
+      const cost = this.recordUsage(templateConfig, aiProvider, model, usage);
+
+      if (experiment) {
+        await this.recordExperimentObservation(experiment, {
+          latency: Date.now() - startTime,
+          error: false,
+          ...(await this.qualitySignals(result)),
+        });
+      }
 
       // Save output if specified
       if (outputFile) {
@@ -128,6 +175,10 @@ export class SPOT {
         metadata: {
           template,
           provider: aiProvider.name,
+          model,
+          usage,
+          cost,
+          experiment,
           duration: Date.now() - startTime,
           timestamp: new Date().toISOString(),
         },
@@ -139,50 +190,643 @@ export class SPOT {
         inputFile,
         duration: Date.now() - startTime,
       });
+      if (experiment && !(error instanceof ValidationError)) {
+        await this.recordExperimentObservation(experiment, {
+          latency: Date.now() - startTime,
+          error: true,
+          schemaValid: error.code === 'OUTPUT_SCHEMA_ERROR' ? false : null,
+        });
+      }
       throw error;
     }
   }
 
   /**
-   * Execute the generation workflow
+   * Generate content as a stream of events
+   * Yields { type: 'chunk', content } for each text chunk, then a final
+   * { type: 'done', result, metadata } event shaped like generate()'s return
    */
-  async executeGeneration(inputData, templateConfig, provider) {
-    // Load style pack
-    const stylePack = await loadStylePack();
+  async *generateStream(options) {
+    const startTime = Date.now();
+    const {
+      inputFile,
+      provider,
+      content,
+      history = [],
+      experimentId,
+      userId,
+    } = options;
+    let { template } = options;
+    let experiment = null;
 
-    // Compile the prompt using the existing prompting utilities
-    const compiledPrompt = compilePrompt(templateConfig, inputData, stylePack);
+    try {
+      experiment = this.resolveExperiment(template, experimentId, userId);
+      if (experiment) template = experiment.templateId;
+
+      this.observability.info('Starting streaming generation', {
+        template,
+        inputFile,
+        provider,
+      });
 
-    // Build the full prompt text for the provider
-    let promptText;
-    if (typeof compiledPrompt === 'string') {
-      promptText = compiledPrompt;
-    } else {
-      // Combine system and user prompts
-      promptText = `${compiledPrompt.system}\n\nUser: ${compiledPrompt.user}`;
-
-      // Add style pack information if available
-      if (compiledPrompt.stylePack && compiledPrompt.stylePack.brand_voice) {
-        promptText += `\n\nBrand voice: ${compiledPrompt.stylePack.brand_voice}`;
+      const templateConfig = await this.templateManager.getTemplate(template);
+      const inputData = await this.validateInput(
+        await this.loadInputData({ content, inputFile }),
+        templateConfig
+      );
+      const aiProvider = await this.resolveProvider(provider, templateConfig);
+      const chunks = await this.planChunks(
+        inputData,
+        templateConfig,
+        aiProvider,
+        history,
+        options
+      );
+
+      let result;
+      if (chunks) {
+        // Chunk outputs can only be merged once all of them are complete,
+        // so a map-reduce generation streams its merged result at the end
+        result = await this.executeMapReduce(
+          chunks,
+          inputData,
+          templateConfig,
+          aiProvider,
+          history
+        );
+        yield { type: 'chunk', content: result.content };
+      } else {
+        result = yield* this.streamGeneration(
+          inputData,
+          templateConfig,
+          aiProvider,
+          history
+        );
+      }
+      // Streamed variants have already been sent, so they are only checked
+      await this.checkChannels(result, inputData, templateConfig, aiProvider);
+      const { usage, model } = result.metadata;
+
+      const cost = this.recordUsage(templateConfig, aiProvider, model, usage);
+
+      if (experiment) {
+        await this.recordExperimentObservation(experiment, {
+          latency: Date.now() - startTime,
+          error: false,
+          ...(await this.qualitySignals(result)),
+        });
+      }
+
+      this.metrics.generationsCount++;
+      this.metrics.totalLatency += Date.now() - startTime;
+
+      this.observability.info('Streaming generation completed', {
+        template,
+        duration: Date.now() - startTime,
+        outputLength: result.content.length,
+      });
+
+      yield {
+        type: 'done',
+        result,
+        metadata: {
+          template,
+          provider: aiProvider.name,
+          model,
+          usage,
+          cost,
+          experiment,
+          duration: Date.now() - startTime,
+          timestamp: new Date().toISOString(),
+        },
+      };
+    } catch (error) {
+      this.metrics.errors++;
+      this.observability.error('Streaming generation failed', error, {
+        template,
+        inputFile,
+        duration: Date.now() - startTime,
+      });
+      if (experiment && !(error instanceof ValidationError)) {
+        await this.recordExperimentObservation(experiment, {
+          latency: Date.now() - startTime,
+          error: true,
+        });
       }
-      if (compiledPrompt.stylePack && compiledPrompt.stylePack.reading_level) {
-        promptText += `\nTarget reading level: ${compiledPrompt.stylePack.reading_level}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Stream a single-pass generation, yielding { type: 'chunk' } events, and
+   * return the result. Streamed output has already been sent, so it is
+   * validated against the output schema but not repaired.
+   */
+  async *streamGeneration(inputData, templateConfig, provider, history = []) {
+    const messages = await this.buildPromptMessages(
+      inputData,
+      templateConfig,
+      history
+    );
+
+    let response = '';
+    let usage = null;
+    let model = null;
+    for await (const chunk of provider.streamText(messages, {
+      ...this.generationOptions(inputData, templateConfig),
+      onUsage: (reportedUsage, reportedModel) => {
+        usage = reportedUsage;
+        model = reportedModel;
+      },
+    })) {
+      response += chunk;
+      yield { type: 'chunk', content: chunk };
+    }
+
+    const result = this.buildResult(
+      { text: response, usage, model },
+      inputData,
+      templateConfig,
+      provider
+    );
+
+    if (templateConfig.output_schema) {
+      const structured = parseStructuredOutput(
+        response,
+        templateConfig.output_schema
+      );
+      this.applyStructuredOutput(result, structured, 0);
+    }
+
+    return result;
+  }
+
+  /**
+   * Choose the experiment arm for a request: the named experiment, or the
+   * running experiment on the requested template when only a user id is
+   * given. Returns { experimentId, templateId }, or null when no running
+   * experiment applies. A named experiment that is not running is an error.
+   */
+  resolveExperiment(template, experimentId, userId) {
+    if (!experimentId && !userId) return null;
+
+    // getTemplateForExperiment rejects named experiments that are stopped
+    const experiment = experimentId
+      ? this.templateManager.requireExperiment(experimentId)
+      : this.templateManager.findExperimentForTemplate(template);
+    if (!experiment) return null;
+
+    return {
+      experimentId: experiment.id,
+      templateId: this.templateManager.getTemplateForExperiment(
+        experiment.id,
+        userId
+      ),
+    };
+  }
+
+  // Quality signals for experiments: no banned style terms in the output,
+  // and output that matches the template's schema (null without a schema)
+  async qualitySignals(result) {
+    const stylePack = await this.loadStylePack();
+    return {
+      lintPass: lintStyle(result.content || '', stylePack).banned.length === 0,
+      schemaValid: result.metadata.structured
+        ? result.metadata.structured.valid
+        : null,
+    };
+  }
+
+  // Experiment bookkeeping must never fail a generation
+  async recordExperimentObservation(experiment, observation) {
+    try {
+      await this.templateManager.recordExperimentResult(
+        experiment.experimentId,
+        experiment.templateId,
+        observation
+      );
+    } catch (error) {
+      this.observability.warn('Failed to record experiment result', {
+        ...experiment,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Load input data from direct content (API) or an input file (CLI)
+   */
+  async loadInputData({ content, inputFile }) {
+    if (content) {
+      // Content provided directly (API usage)
+      return content;
+    }
+
+    if (!inputFile) {
+      throw new Error('Either content or inputFile must be provided');
+    }
+
+    // Content from file (CLI usage)
+    const inputPath = resolve(inputFile);
+
+    try {
+      const rawData = await readFile(inputPath, 'utf-8');
+
+      // Try to parse as JSON first
+      if (inputFile.endsWith('.json')) {
+        return JSON.parse(rawData);
       }
+
+      // For non-JSON files, create a wrapper object with common mappings.
+      // Caption files (.vtt, .srt) become "[HH:MM:SS] Speaker: text" lines.
+      const fileExt = inputFile.split('.').pop();
+      const transcript = normalizeTranscript(rawData, { fileName: inputFile });
+      return {
+        content: rawData,
+        file_type: fileExt,
+        file_name: inputPath.split('/').pop(),
+
+        // Common template input mappings
+        markdown: rawData, // for repurpose_pack
+        transcript_text: transcript, // for summarize_grounded
+        text: rawData, // general text input
+        mode: 'executive', // default mode for summarize templates
+        channel_constraints: JSON.stringify({
+          // default channel constraints
+          twitter: { max_length: 280, tone: 'engaging' },
+          linkedin: { max_length: 1300, tone: 'professional' },
+          email: { max_length: 2000, tone: 'friendly' },
+        }),
+      };
+    } catch (error) {
+      throw new Error(`Failed to load input file: ${error.message}`);
     }
+  }
 
-    // Generate content using the provider
-    const response = await provider.generateText(promptText, {
+  /**
+   * Resolve the AI provider for a request, template, or configured default
+   */
+  async resolveProvider(provider, templateConfig) {
+    return await this.providerManager.getProvider(
+      provider ||
+        templateConfig.provider ||
+        this.config.get('provider', 'openai')
+    );
+  }
+
+  // The config manager caches the style pack (and reloads it in watch
+  // mode); without one it is read from disk
+  async loadStylePack() {
+    if (typeof this.config?.loadStylePack === 'function') {
+      return this.config.loadStylePack();
+    }
+    return loadStylePack();
+  }
+
+  /**
+   * Build the provider message list (system, user, and any extra turns)
+   */
+  async buildPromptMessages(inputData, templateConfig, history = []) {
+    // Load style pack
+    const stylePack = await this.loadStylePack();
+
+    // Compile the prompt using the existing prompting utilities
+    const compiledPrompt = compilePrompt(templateConfig, inputData, stylePack);
+
+    return buildMessages(compiledPrompt, history);
+  }
+
+  /**
+   * Provider options for a generation. The template and input are passed
+   * along so the mock provider can select a scripted response.
+   */
+  generationOptions(inputData, templateConfig) {
+    const options = {
       maxTokens: 2000,
       temperature: 0.7,
+      template: { id: templateConfig.id, version: templateConfig.version },
+      input: inputData,
+    };
+
+    // Ask for JSON natively where the provider supports it
+    if (templateConfig.output_schema) {
+      options.responseFormat = {
+        type: 'json',
+        schema: templateConfig.output_schema,
+      };
+    }
+
+    return options;
+  }
+
+  /**
+   * Execute the generation workflow
+   */
+  async executeGeneration(inputData, templateConfig, provider, history = []) {
+    const messages = await this.buildPromptMessages(
+      inputData,
+      templateConfig,
+      history
+    );
+
+    const options = this.generationOptions(inputData, templateConfig);
+
+    // Generate content using the provider
+    let response = await provider.generate(messages, options);
+
+    const schema = templateConfig.output_schema;
+    if (!schema) {
+      return this.buildResult(response, inputData, templateConfig, provider);
+    }
+
+    // Validate structured output, re-prompting with the validation errors
+    // until it matches the schema or the repair attempts run out
+    let structured = parseStructuredOutput(response.text, schema);
+    let usage = response.usage;
+    let attempts = 0;
+
+    while (!structured.valid && attempts < this.maxRepairAttempts) {
+      attempts++;
+      this.observability.warn('Output failed schema validation, repairing', {
+        template: templateConfig.id,
+        attempt: attempts,
+        errors: structured.errors,
+      });
+
+      response = await provider.generate(
+        [
+          ...messages,
+          ...buildRepairMessages(response.text, structured.errors, schema),
+        ],
+        options
+      );
+      usage = combineUsage(usage, response.usage);
+      structured = parseStructuredOutput(response.text, schema);
+    }
+
+    if (!structured.valid) {
+      throw new SPOTError(
+        `Output does not match the ${
+          templateConfig.id
+        } output schema after ${attempts} repair attempt(s): ${structured.errors
+          .slice(0, 5)
+          .join('; ')}`,
+        'OUTPUT_SCHEMA_ERROR',
+        { errors: structured.errors, content: response.text, attempts }
+      );
+    }
+
+    const result = this.buildResult(
+      { ...response, usage },
+      inputData,
+      templateConfig,
+      provider
+    );
+    return this.applyStructuredOutput(result, structured, attempts);
+  }
+
+  /**
+   * Decide whether to generate in chunks. Templates opt in with "chunking":
+   * { field, boundary }. The source field is split when the prompt would
+   * not fit the model's context window (see configs/providers.json), or
+   * always with options.mapReduce (false disables chunking). Returns the
+   * chunks, or null for a single-pass generation.
+   */
+  async planChunks(inputData, templateConfig, provider, history, options = {}) {
+    const { chunking } = templateConfig;
+    const source = chunking && inputData[chunking.field];
+    if (options.mapReduce === false || typeof source !== 'string') {
+      return null;
+    }
+
+    const { maxTokens } = this.generationOptions(inputData, templateConfig);
+    const model = provider.defaultModel || provider.name;
+    const contextWindow = contextWindowFor(model, provider.name);
+    const promptTokens = estimatePromptTokens(
+      await this.buildPromptMessages(
+        { ...inputData, [chunking.field]: '' },
+        templateConfig,
+        history
+      )
+    );
+    const available = contextWindow - promptTokens - maxTokens;
+
+    if (!options.mapReduce && estimateTokens(source) <= available) {
+      return null;
+    }
+    if (available <= 0) {
+      throw new SPOTError(
+        `The ${templateConfig.id} prompt does not fit the ${contextWindow}-token context window of ${model}`,
+        'CONTEXT_WINDOW_EXCEEDED',
+        { contextWindow, promptTokens, maxTokens }
+      );
+    }
+
+    return splitIntoChunks(source, {
+      boundary: chunking.boundary,
+      maxTokens: Math.min(
+        available,
+        options.chunkTokens ?? chunking.max_tokens ?? available
+      ),
     });
+  }
+
+  /**
+   * Map-reduce generation: generate each chunk of the source in order, then
+   * merge the outputs. JSON outputs are merged structurally (lists are
+   * concatenated, so citations such as source_refs are kept); other output
+   * is joined as text.
+   */
+  async executeMapReduce(
+    chunks,
+    inputData,
+    templateConfig,
+    provider,
+    history = []
+  ) {
+    const { field, boundary = 'paragraph' } = templateConfig.chunking;
+    const results = [];
+
+    for (const [index, chunk] of chunks.entries()) {
+      this.observability.info('Generating chunk', {
+        template: templateConfig.id,
+        chunk: index + 1,
+        chunks: chunks.length,
+      });
+      results.push(
+        await this.executeGeneration(
+          { ...inputData, [field]: chunk },
+          templateConfig,
+          provider,
+          history
+        )
+      );
+    }
+
+    const outputs = results.map((result) =>
+      result.parsed !== undefined
+        ? { ok: true, value: result.parsed }
+        : extractJson(result.content)
+    );
+    const mergeable = outputs.every(
+      (output) =>
+        output.ok && output.value !== null && typeof output.value === 'object'
+    );
+    const merged = mergeable
+      ? mergeChunkOutputs(outputs.map((output) => output.value))
+      : undefined;
+    const text = mergeable
+      ? JSON.stringify(merged, null, 2)
+      : results.map((result) => result.content).join('\n\n');
+
+    const result = this.buildResult(
+      {
+        text,
+        usage: combineUsage(...results.map((r) => r.metadata.usage)),
+        model: results[0].metadata.model,
+      },
+      inputData,
+      templateConfig,
+      provider
+    );
+    if (templateConfig.output_schema) {
+      this.applyStructuredOutput(
+        result,
+        parseStructuredOutput(text, templateConfig.output_schema),
+        results.reduce(
+          (sum, r) => sum + (r.metadata.structured?.repairAttempts || 0),
+          0
+        )
+      );
+    } else if (mergeable) {
+      result.parsed = merged;
+    }
+    result.metadata.chunks = { count: chunks.length, field, boundary };
+
+    return result;
+  }
+
+  /**
+   * Check the variants of a multi-channel output against the channel
+   * presets in the input field named by the template's
+   * "channel_validation": { field }. The report goes in
+   * result.metadata.channels as { valid, violations, repairAttempts }.
+   * Variants in thread mode are split into posts (see channels/thread.js).
+   * With options.enforceChannels, variants that break their limits are
+   * re-prompted (the rest are kept) and the result's content is updated.
+   */
+  async checkChannels(
+    result,
+    inputData,
+    templateConfig,
+    provider,
+    history = [],
+    options = {}
+  ) {
+    const field = templateConfig.channel_validation?.field;
+    const constraints = field && inputData[field];
+    if (!constraints) return result;
+
+    const parsed =
+      result.parsed !== undefined
+        ? result.parsed
+        : extractJson(result.content).value;
+
+    // Variants in thread mode are split into numbered posts first
+    if (parsed && typeof parsed === 'object') {
+      const before = JSON.stringify(parsed);
+      applyThreads(parsed, constraints);
+      if (JSON.stringify(parsed) !== before) {
+        result.parsed = parsed;
+        result.content = JSON.stringify(parsed, null, 2);
+      }
+    }
+    let report = validateChannels(parsed ?? result.content, constraints);
+    let repairAttempts = 0;
+
+    if (
+      options.enforceChannels &&
+      !report.valid &&
+      parsed &&
+      typeof parsed === 'object'
+    ) {
+      // Chunked sources may not fit a single prompt; the repair turns
+      // carry the output and the limits, so the source can be left out
+      const { chunks } = result.metadata;
+      const messages = await this.buildPromptMessages(
+        chunks ? { ...inputData, [chunks.field]: '' } : inputData,
+        templateConfig,
+        history
+      );
+      const generationOptions = {
+        ...this.generationOptions(inputData, templateConfig),
+        responseFormat: { type: 'json' },
+      };
+      let usage = result.metadata.usage;
+
+      this.observability.warn('Variants break channel limits, repairing', {
+        template: templateConfig.id,
+        violations: report.violations.map((violation) => violation.message),
+      });
+      const repaired = await enforceChannels(
+        parsed,
+        constraints,
+        async (turns) => {
+          const response = await provider.generate(
+            [...messages, ...turns],
+            generationOptions
+          );
+          usage = combineUsage(usage, response.usage);
+          return response.text;
+        },
+        {
+          maxAttempts: this.maxChannelRepairAttempts,
+          prepare: (output) => applyThreads(output, constraints),
+        }
+      );
+
+      report = repaired.report;
+      repairAttempts = repaired.attempts;
+      if (repairAttempts > 0) {
+        result.parsed = repaired.output;
+        result.content = JSON.stringify(repaired.output, null, 2);
+        result.metadata.usage = usage;
+      }
+    }
+
+    result.metadata.channels = {
+      valid: report.valid,
+      violations: report.violations,
+      repairAttempts,
+    };
+    return result;
+  }
 
-    // Return structured result
+  /**
+   * Attach parsed structured output and its validation status to a result
+   */
+  applyStructuredOutput(result, structured, repairAttempts) {
+    result.parsed = structured.data;
+    result.metadata.structured = {
+      valid: structured.valid,
+      errors: structured.errors,
+      repairAttempts,
+    };
+    return result;
+  }
+
+  /**
+   * Build the structured result returned for a generation
+   */
+  buildResult(response, inputData, templateConfig, provider) {
     return {
-      content: response,
+      content: response.text,
       template: templateConfig.id,
       version: templateConfig.version,
       metadata: {
         provider: provider.constructor.name,
+        model: response.model,
+        usage: response.usage,
         timestamp: new Date().toISOString(),
         inputKeys: Object.keys(inputData),
       },
@@ -190,18 +834,74 @@ export class SPOT {
   }
 
   /**
-   * Validate input data against template requirements
+   * Record token usage for a generation in the usage tracker and metrics
+   * Returns the estimated cost in USD, or null if the model has no price
+   */
+  recordUsage(templateConfig, provider, model, usage) {
+    if (!usage) return null;
+
+    const templateRef = `${templateConfig.id}@${templateConfig.version}`;
+    const providerName = provider.name || provider.constructor.name;
+    const cost = this.usageTracker.record({
+      template: templateRef,
+      provider: providerName,
+      model,
+      usage,
+    });
+
+    this.metrics.inputTokens += usage.inputTokens;
+    this.metrics.outputTokens += usage.outputTokens;
+    this.metrics.totalCost += cost || 0;
+
+    const tags = { template: templateRef, provider: providerName };
+    this.observability.recordMetric(
+      'generation.input_tokens',
+      usage.inputTokens,
+      tags
+    );
+    this.observability.recordMetric(
+      'generation.output_tokens',
+      usage.outputTokens,
+      tags
+    );
+    if (cost !== null) {
+      this.observability.recordMetric('generation.cost_usd', cost, tags);
+    }
+
+    return cost;
+  }
+
+  /**
+   * Get token usage and cost grouped by template, provider and/or day
+   */
+  getUsageReport(options = {}) {
+    return this.usageTracker.getReport(options);
+  }
+
+  /**
+   * Validate input data against the template's input schema
+   * Returns the input with defaults applied; throws a ValidationError whose
+   * details.errors lists each failing field
    */
   async validateInput(inputData, templateConfig) {
-    const required = templateConfig.inputs || [];
+    const schema = inputSchemaFor(templateConfig);
+    const input = prepareInput(inputData, schema);
+    const errors = validateInputSchema(input, schema);
 
-    for (const field of required) {
-      if (!(field in inputData)) {
-        throw new Error(`Missing required field: ${field}`);
-      }
+    if (errors.length > 0) {
+      const [first] = errors;
+      const error = new ValidationError(
+        `Invalid input for ${templateConfig.id}: ${errors
+          .map(({ field, message }) => `${field} ${message}`)
+          .join('; ')}`,
+        first.field,
+        input[first.field]
+      );
+      error.details.errors = errors;
+      throw error;
     }
 
-    return true;
+    return input;
   }
 
   /**
@@ -320,6 +1020,7 @@ export class SPOT {
 
     return {
       ...this.metrics,
+      totalCost: Math.round(this.metrics.totalCost * 1_000_000) / 1_000_000,
       averageLatency: Math.round(avgLatency),
       uptime: process.uptime(),
       timestamp: new Date().toISOString(),
@@ -21,16 +21,43 @@ dotenv.config();
 
 // Import SPOT components
 import { ConfigManager } from '../utils/configManager.js';
-import { ErrorHandling } from '../utils/errorHandling.js';
+import { ErrorHandling, ValidationError } from '../utils/errorHandling.js';
 import { Observability } from '../utils/observability.js';
 import { Monitoring } from '../utils/monitoring.js';
 import { ProviderManager } from '../utils/providerManager.js';
 import { TemplateManager } from '../utils/templateManager.js';
+import { listTemplateVersions } from '../utils/templateResolver.js';
+import { inputSchemaFor } from '../utils/inputSchema.js';
+import { watchModeEnabled } from '../utils/fileWatcher.js';
+import { verifyCitations } from '../lint/citationVerifier.js';
+import {
+  actionsToCSV,
+  actionsToICS,
+  parseMeetingDate,
+  processActionItems,
+} from '../utils/actionItems.js';
+import { normalizeTranscript } from '../utils/transcript.js';
+import { extractJson } from '../utils/structuredOutput.js';
+import { channelRegistry } from '../channels/registry.js';
+import { EMAIL_FORMATS, exportEmail, renderEmail } from '../channels/email.js';
 import { SPOT } from '../SPOT.js';
+import { ArticlePipeline } from '../pipelines/articlePipeline.js';
+import { listWorkflows, WorkflowExecutor } from '../pipelines/workflow.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// OpenAPI component name for a template's input: draft_scaffold ->
+// DraftScaffoldInput
+function inputSchemaName(templateName) {
+  return (
+    templateName
+      .split(/[_-]/)
+      .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('') + 'Input'
+  );
+}
+
 class SPOTAPIServer {
   constructor() {
     this.app = express();
@@ -65,7 +92,9 @@ class SPOTAPIServer {
 
   async initializeComponents() {
     // Initialize configuration
-    this.components.config = new ConfigManager();
+    this.components.config = new ConfigManager(
+      join(__dirname, '../../configs')
+    );
     await this.components.config.initialize();
 
     // Initialize observability
@@ -101,15 +130,66 @@ class SPOTAPIServer {
     const absoluteTemplateDir = join(process.cwd(), templateDir);
     this.components.templateManager = new TemplateManager(absoluteTemplateDir);
 
+    // Template input schemas, published in the OpenAPI spec
+    this.components.inputSchemas = await this.loadInputSchemas(
+      absoluteTemplateDir
+    );
+
+    // Pick up edits to templates, partials, configs and the style pack
+    // without a restart
+    if (watchModeEnabled()) {
+      this.watchFiles(absoluteTemplateDir);
+    }
+
     // Initialize main application
     this.components.spot = new SPOT({
       providerManager: this.components.providerManager,
       templateManager: this.components.templateManager,
       config: this.components.config,
       observability: this.components.observability,
+      usageFile: process.env.USAGE_LOG_FILE,
+    });
+  }
+
+  watchFiles(templateDir) {
+    const { config, observability, templateManager } = this.components;
+
+    config.watch();
+    templateManager.watch();
+    observability.info('Watching for template and configuration changes', {
+      templateDir,
+      configDir: config.configDir,
     });
   }
 
+  // OpenAPI schemas for the inputs of each template's pinned version
+  async loadInputSchemas(templateDir) {
+    const schemas = {};
+
+    for (const name of listTemplateVersions(templateDir).keys()) {
+      try {
+        const template = await this.components.templateManager.getTemplate(
+          name
+        );
+        if (template.abstract) continue;
+
+        schemas[inputSchemaName(name)] = {
+          description: `${template.purpose || name} (${template.id}@${
+            template.version
+          })`,
+          ...inputSchemaFor(template),
+        };
+      } catch (error) {
+        this.components.observability.warn('Skipping template input schema', {
+          template: name,
+          error: error.message,
+        });
+      }
+    }
+
+    return schemas;
+  }
+
   setupMiddleware() {
     // Security middleware (allow inline styles for web interface)
     this.app.use(
@@ -197,23 +277,31 @@ class SPOTAPIServer {
                 },
               },
             },
-            ScaffoldRequest: {
+            // Generated from each template's input_schema
+            ...this.components.inputSchemas,
+            Error: {
               type: 'object',
-              required: ['asset_type', 'topic', 'audience', 'tone'],
               properties: {
-                asset_type: { type: 'string', example: 'blog post' },
-                topic: { type: 'string', example: 'AI applications' },
-                audience: { type: 'string', example: 'developers' },
-                tone: { type: 'string', example: 'technical' },
-                word_count: { type: 'integer', default: 600 },
+                error: { type: 'string' },
+                timestamp: { type: 'string', format: 'date-time' },
+                path: { type: 'string' },
               },
             },
-            Error: {
+            ValidationError: {
               type: 'object',
               properties: {
                 error: { type: 'string' },
-                timestamp: { type: 'string', format: 'date-time' },
-                path: { type: 'string' },
+                field: { type: 'string' },
+                errors: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      field: { type: 'string' },
+                      message: { type: 'string' },
+                    },
+                  },
+                },
               },
             },
           },
@@ -278,12 +366,158 @@ class SPOTAPIServer {
      */
     this.app.get('/api/v1/info', this.handleInfo.bind(this));
 
-    // Template endpoints
+    /**
+     * @swagger
+     * /api/v1/templates:
+     *   get:
+     *     summary: List templates with their versions and pinned version
+     *     tags: [Templates]
+     *     responses:
+     *       200:
+     *         description: Template summaries
+     *   post:
+     *     summary: Publish a new template version
+     *     description: The version must be newer than every published version of the template; published versions cannot be overwritten.
+     *     tags: [Templates]
+     *     parameters:
+     *       - in: query
+     *         name: pin
+     *         description: Also pin the new version in templates.lock.json
+     *         schema:
+     *           type: boolean
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [id, version]
+     *             properties:
+     *               id:
+     *                 type: string
+     *               version:
+     *                 type: string
+     *                 example: 1.1.0
+     *               extends:
+     *                 type: string
+     *               system:
+     *                 type: string
+     *               user:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Template version created
+     *       400:
+     *         description: Invalid template, or version not newer than the latest
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ValidationError'
+     */
     this.app.get('/api/v1/templates', this.handleListTemplates.bind(this));
+    this.app.post('/api/v1/templates', this.handleCreateTemplate.bind(this));
     this.app.get(
       '/api/v1/templates/:templateId',
       this.handleGetTemplate.bind(this)
     );
+
+    /**
+     * @swagger
+     * /api/v1/templates/{name}/versions:
+     *   get:
+     *     summary: Version history of a template, oldest first
+     *     tags: [Templates]
+     *     parameters:
+     *       - in: path
+     *         name: name
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Published versions
+     *       404:
+     *         description: Template not found
+     */
+    this.app.get(
+      '/api/v1/templates/:name/versions',
+      this.handleTemplateHistory.bind(this)
+    );
+
+    /**
+     * @swagger
+     * /api/v1/templates/{name}/versions/{version}/deprecate:
+     *   post:
+     *     summary: Deprecate a template version
+     *     description: Deprecated versions still load, but log a warning when used.
+     *     tags: [Templates]
+     *     parameters:
+     *       - in: path
+     *         name: name
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: path
+     *         name: version
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               reason:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Version deprecated
+     *       404:
+     *         description: Template version not found
+     */
+    this.app.post(
+      '/api/v1/templates/:name/versions/:version/deprecate',
+      this.handleDeprecateTemplate.bind(this)
+    );
+
+    /**
+     * @swagger
+     * /api/v1/templates/{name}/diff:
+     *   get:
+     *     summary: Field-level diff between two versions of a template
+     *     tags: [Templates]
+     *     parameters:
+     *       - in: path
+     *         name: name
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: from
+     *         description: Older version (defaults to the version before `to`)
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: to
+     *         description: Newer version (defaults to the newest version)
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: composed
+     *         description: Compare templates after inheritance and partials are applied
+     *         schema:
+     *           type: boolean
+     *     responses:
+     *       200:
+     *         description: Changed fields
+     *       404:
+     *         description: Template version not found
+     */
+    this.app.get(
+      '/api/v1/templates/:name/diff',
+      this.handleTemplateDiff.bind(this)
+    );
     this.app.post(
       '/api/v1/templates/validate',
       this.handleValidateTemplates.bind(this)
@@ -296,7 +530,52 @@ class SPOTAPIServer {
       this.handleProviderHealth.bind(this)
     );
 
-    // Generation endpoints
+    /**
+     * @swagger
+     * /api/v1/generate:
+     *   post:
+     *     summary: Generate content with any template
+     *     description: Responds with JSON, or with a Server-Sent Events stream of `chunk` events followed by a `done` (or `error`) event when `stream` is true or the client accepts `text/event-stream`. The same applies to the per-operation routes.
+     *     tags: [Generation]
+     *     parameters:
+     *       - in: query
+     *         name: stream
+     *         schema:
+     *           type: boolean
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [template, content]
+     *             properties:
+     *               template:
+     *                 type: string
+     *                 example: draft_scaffold
+     *               content:
+     *                 type: object
+     *                 description: Template input, validated against the template's input schema (see the *Input schemas)
+     *               provider:
+     *                 type: string
+     *               experimentId:
+     *                 type: string
+     *                 description: Let this A/B experiment pick the template version (template may then be omitted)
+     *               userId:
+     *                 type: string
+     *                 description: Assigns the user to an experiment arm consistently; also routes through any running experiment on the template
+     *               options:
+     *                 type: object
+     *     responses:
+     *       200:
+     *         description: Generated content (JSON or text/event-stream)
+     *       400:
+     *         description: Missing template or content, or content does not match the template's input schema
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ValidationError'
+     */
     this.app.post('/api/v1/generate', this.handleGenerate.bind(this));
 
     /**
@@ -310,23 +589,503 @@ class SPOTAPIServer {
      *       content:
      *         application/json:
      *           schema:
-     *             $ref: '#/components/schemas/ScaffoldRequest'
+     *             $ref: '#/components/schemas/DraftScaffoldInput'
      *     responses:
      *       200:
-     *         description: Scaffold created successfully
+     *         description: Generated content (JSON or text/event-stream)
      *       400:
-     *         description: Invalid request parameters
+     *         description: Request body does not match the template's input schema
      *         content:
      *           application/json:
      *             schema:
-     *               $ref: '#/components/schemas/Error'
+     *               $ref: '#/components/schemas/ValidationError'
      */
     this.app.post('/api/v1/scaffold', this.handleScaffold.bind(this));
+
+    /**
+     * @swagger
+     * /api/v1/expand:
+     *   post:
+     *     summary: Expand a scaffold section into prose
+     *     description: style_pack_rules, must_use and must_avoid default to the house style pack.
+     *     tags: [Generation]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/SectionExpandInput'
+     *     responses:
+     *       200:
+     *         description: Generated content (JSON or text/event-stream)
+     *       400:
+     *         description: Request body does not match the template's input schema
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ValidationError'
+     */
     this.app.post('/api/v1/expand', this.handleExpand.bind(this));
+
+    /**
+     * @swagger
+     * /api/v1/rewrite:
+     *   post:
+     *     summary: Rewrite or localize text
+     *     description: Accepts `text` as an alias of `original_text`.
+     *     tags: [Generation]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/RewriteLocalizeInput'
+     *     responses:
+     *       200:
+     *         description: Generated content (JSON or text/event-stream)
+     *       400:
+     *         description: Request body does not match the template's input schema
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ValidationError'
+     */
     this.app.post('/api/v1/rewrite', this.handleRewrite.bind(this));
+
+    /**
+     * @swagger
+     * /api/v1/summarize:
+     *   post:
+     *     summary: Summarize a transcript with timestamped citations
+     *     description: Accepts `content` as an alias of `transcript_text`, which may be `[HH:MM:SS] Speaker:` lines or WebVTT/SRT captions. The response includes `summary.citations`, which checks every source_refs range against the transcript and scores how well the cited lines support each item, and `summary.actions`, the action items with due dates resolved against `meeting_date` (YYYY-MM-DD, default today) and owners matched to the transcript's speakers.
+     *     tags: [Generation]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/SummarizeGroundedInput'
+     *     responses:
+     *       200:
+     *         description: Generated content (JSON or text/event-stream)
+     *       400:
+     *         description: Request body does not match the template's input schema
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ValidationError'
+     */
     this.app.post('/api/v1/summarize', this.handleSummarize.bind(this));
+
+    /**
+     * @swagger
+     * /api/v1/actions/export:
+     *   post:
+     *     summary: Export summary action items as iCalendar to-dos or CSV
+     *     description: Due dates are normalized against `meeting_date` first. With `transcript_text`, owners are matched to the transcript's speakers.
+     *     tags: [Generation]
+     *     parameters:
+     *       - in: query
+     *         name: format
+     *         schema:
+     *           type: string
+     *           enum: [ics, csv]
+     *           default: ics
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [actions]
+     *             properties:
+     *               actions:
+     *                 type: array
+     *                 description: The actions[] of a summarize_grounded output
+     *                 items:
+     *                   type: object
+     *                   properties:
+     *                     owner:
+     *                       type: string
+     *                     due:
+     *                       type: string
+     *                       example: next Friday
+     *                     text:
+     *                       type: string
+     *                     source_refs:
+     *                       type: array
+     *                       items:
+     *                         type: string
+     *               transcript_text:
+     *                 type: string
+     *               meeting_date:
+     *                 type: string
+     *                 format: date
+     *     responses:
+     *       200:
+     *         description: A text/calendar or text/csv attachment
+     *       400:
+     *         description: Invalid actions, format or meeting date
+     */
+    this.app.post(
+      '/api/v1/actions/export',
+      this.handleExportActions.bind(this)
+    );
+
+    /**
+     * @swagger
+     * /api/v1/email/render:
+     *   post:
+     *     summary: Render an email variant as HTML, MJML, plain text or an .eml message
+     *     description: Renders an `email` or `newsletter` variant from /api/v1/repurpose with the bundled responsive template. The variant is checked against the channel's limits (configs/channels.json, or `constraints`). `format=json` returns every part with the violations; the other formats return the part as a file.
+     *     tags: [Generation]
+     *     parameters:
+     *       - in: query
+     *         name: format
+     *         schema:
+     *           type: string
+     *           enum: [json, html, mjml, text, eml]
+     *           default: json
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [variant]
+     *             properties:
+     *               variant:
+     *                 type: object
+     *                 properties:
+     *                   subject:
+     *                     type: string
+     *                   preheader:
+     *                     type: string
+     *                   body:
+     *                     type: string
+     *                   cta:
+     *                     type: string
+     *                   cta_url:
+     *                     type: string
+     *               channel:
+     *                 type: string
+     *                 default: email
+     *               constraints:
+     *                 type: object
+     *               footer:
+     *                 type: string
+     *               from:
+     *                 type: string
+     *               to:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: The rendered email (JSON) or an HTML, MJML, text or message/rfc822 attachment
+     *       400:
+     *         description: Invalid variant, channel or format
+     */
+    this.app.post('/api/v1/email/render', this.handleRenderEmail.bind(this));
+
+    /**
+     * @swagger
+     * /api/v1/repurpose:
+     *   post:
+     *     summary: Repurpose an article for multiple channels
+     *     description: Accepts `content` as an alias of `markdown`. Pick channels with `channels` (names from /api/v1/channels, e.g. ["x", "mastodon"]); the default is the channels in configs/channels.json. An explicit `channel_constraints` object is used as is. The response's `formatted` holds publish-ready text per channel and variant. Every variant is checked against its channel's limits and the report is `result.metadata.channels`; with `"enforce_channels": true`, variants that break them are re-prompted. With `"thread": true`, x variants are split into numbered threads (`posts`) and each post is checked against the limits.
+     *     tags: [Generation]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/RepurposePackInput'
+     *     responses:
+     *       200:
+     *         description: Generated content (JSON or text/event-stream)
+     *       400:
+     *         description: Request body does not match the template's input schema
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ValidationError'
+     */
     this.app.post('/api/v1/repurpose', this.handleRepurpose.bind(this));
 
+    /**
+     * @swagger
+     * /api/v1/pipeline:
+     *   post:
+     *     summary: Turn a brief into a finished article
+     *     description: Scaffolds the brief (draft_scaffold), expands every section in parallel (section_expand), assembles a Markdown article with headings, lints it against the style pack and, with `repurpose` (or `channels`), repurposes it (repurpose_pack). Every intermediate artifact is saved under data/pipelines/<id>/, listed in the run manifest (`manifest.files`). The brief goes in `brief`; the other fields are run options.
+     *     tags: [Generation]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [brief]
+     *             properties:
+     *               brief:
+     *                 $ref: '#/components/schemas/DraftScaffoldInput'
+     *               repurpose:
+     *                 type: boolean
+     *               channels:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *               thread:
+     *                 type: boolean
+     *               enforce_channels:
+     *                 type: boolean
+     *               provider:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: The article, its scaffold, sections, style report, repurposed pack and run manifest
+     *       400:
+     *         description: Missing or invalid brief, or unknown channel
+     */
+    this.app.post('/api/v1/pipeline', this.handleRunPipeline.bind(this));
+
+    /**
+     * @swagger
+     * /api/v1/workflows:
+     *   get:
+     *     summary: List workflow definitions
+     *     description: Workflows are JSON or YAML files in workflows/. Files that do not load are listed with an `error`.
+     *     tags: [Workflows]
+     *     responses:
+     *       200:
+     *         description: Workflows with their description, steps and inputs
+     */
+    this.app.get('/api/v1/workflows', this.handleListWorkflows.bind(this));
+
+    /**
+     * @swagger
+     * /api/v1/workflows/{name}/run:
+     *   post:
+     *     summary: Run a workflow
+     *     description: Runs the workflow's steps in order through the generation pipeline, mapping each step's input from the workflow inputs and earlier steps' outputs. Steps with `for_each` fan out over a list, and steps with `when` are skipped when their condition is false.
+     *     tags: [Workflows]
+     *     parameters:
+     *       - in: path
+     *         name: name
+     *         required: true
+     *         schema:
+     *           type: string
+     *         example: summarize-localize-repurpose
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               inputs:
+     *                 type: object
+     *                 description: Values for the workflow's inputs
+     *               provider:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: The run with each step's status, output, lint and schema results, the workflow output and usage
+     *       400:
+     *         description: Missing or unknown input, or invalid step input
+     *       404:
+     *         description: Workflow not found
+     */
+    this.app.post(
+      '/api/v1/workflows/:name/run',
+      this.handleRunWorkflow.bind(this)
+    );
+
+    /**
+     * @swagger
+     * /api/v1/usage:
+     *   get:
+     *     summary: Token usage and estimated cost report
+     *     tags: [Usage]
+     *     parameters:
+     *       - in: query
+     *         name: groupBy
+     *         description: Comma-separated grouping fields (template, provider, day)
+     *         schema:
+     *           type: string
+     *           default: template,provider,day
+     *       - in: query
+     *         name: from
+     *         description: First day to include (YYYY-MM-DD)
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: to
+     *         description: Last day to include (YYYY-MM-DD)
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Usage grouped by the requested fields, with totals
+     *       400:
+     *         description: Invalid grouping field
+     */
+    this.app.get('/api/v1/usage', this.handleUsage.bind(this));
+
+    /**
+     * @swagger
+     * /api/v1/experiments:
+     *   get:
+     *     summary: List A/B experiments
+     *     tags: [Experiments]
+     *     responses:
+     *       200:
+     *         description: Experiments with their status and observation counts
+     *   post:
+     *     summary: Start an A/B experiment between template versions
+     *     tags: [Experiments]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [id, templates]
+     *             properties:
+     *               id:
+     *                 type: string
+     *                 example: scaffold-tone
+     *               templates:
+     *                 type: array
+     *                 description: Template references; the first is the control
+     *                 items:
+     *                   type: string
+     *                 example: [draft_scaffold@1.0.0, draft_scaffold@1.1.0]
+     *               trafficSplit:
+     *                 type: object
+     *                 description: Share of traffic per template, summing to 1 (default even split)
+     *                 additionalProperties:
+     *                   type: number
+     *               metric:
+     *                 type: string
+     *                 enum: [evalScore, lintPassRate, schemaValidRate, errorRate, latency]
+     *                 default: evalScore
+     *               alpha:
+     *                 type: number
+     *                 default: 0.05
+     *               description:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Experiment started
+     *       400:
+     *         description: Invalid experiment
+     */
+    this.app.get('/api/v1/experiments', this.handleListExperiments.bind(this));
+    this.app.post('/api/v1/experiments', this.handleStartExperiment.bind(this));
+
+    /**
+     * @swagger
+     * /api/v1/experiments/{id}:
+     *   get:
+     *     summary: Experiment results with confidence intervals and significance tests
+     *     tags: [Experiments]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: confidence
+     *         schema:
+     *           type: number
+     *           default: 0.95
+     *     responses:
+     *       200:
+     *         description: Per-arm metrics, comparisons with the control and the winner (if any)
+     *       404:
+     *         description: Experiment not found
+     */
+    this.app.get(
+      '/api/v1/experiments/:id',
+      this.handleExperimentResults.bind(this)
+    );
+
+    /**
+     * @swagger
+     * /api/v1/experiments/{id}/stop:
+     *   post:
+     *     summary: Stop an experiment; requests are no longer routed through it
+     *     tags: [Experiments]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Final experiment results
+     *       404:
+     *         description: Experiment not found
+     */
+    this.app.post(
+      '/api/v1/experiments/:id/stop',
+      this.handleStopExperiment.bind(this)
+    );
+
+    /**
+     * @swagger
+     * /api/v1/experiments/{id}/scores:
+     *   post:
+     *     summary: Record an evaluation score for an experiment arm
+     *     tags: [Experiments]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [templateId, score]
+     *             properties:
+     *               templateId:
+     *                 type: string
+     *                 description: The arm that produced the output (metadata.experiment.templateId of the generation)
+     *               score:
+     *                 type: number
+     *     responses:
+     *       201:
+     *         description: Score recorded
+     *       400:
+     *         description: Invalid score or template
+     *       404:
+     *         description: Experiment not found
+     */
+    this.app.post(
+      '/api/v1/experiments/:id/scores',
+      this.handleRecordExperimentScore.bind(this)
+    );
+
+    /**
+     * @swagger
+     * /api/v1/channels:
+     *   get:
+     *     summary: List the channels repurpose_pack can write for
+     *     description: Each channel's limits (with configs/channels.json applied), output fields and aliases. `default` marks the channels used when a request names none.
+     *     tags: [Generation]
+     *     responses:
+     *       200:
+     *         description: Registered channels
+     */
+    this.app.get('/api/v1/channels', this.handleListChannels.bind(this));
+
     // Evaluation endpoints
     this.app.post('/api/v1/evaluate', this.handleEvaluate.bind(this));
     this.app.post('/api/v1/evaluate/file', this.handleEvaluateFile.bind(this));
@@ -382,6 +1141,10 @@ class SPOTAPIServer {
           console.log('✅ HTTP server closed');
         });
 
+        // Stop watching files
+        this.components.templateManager?.unwatch();
+        this.components.config?.unwatch();
+
         // Stop monitoring
         if (this.components.monitoring) {
           await this.components.monitoring.stop();
@@ -470,6 +1233,9 @@ class SPOTAPIServer {
           templates: '/api/v1/templates',
           providers: '/api/v1/providers',
           generate: '/api/v1/generate',
+          usage: '/api/v1/usage',
+          experiments: '/api/v1/experiments',
+          channels: '/api/v1/channels',
           evaluate: '/api/v1/evaluate',
         },
       });
@@ -500,7 +1266,63 @@ class SPOTAPIServer {
 
       res.json({ template });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error);
+    }
+  }
+
+  async handleCreateTemplate(req, res) {
+    try {
+      const template =
+        await this.components.templateManager.createTemplateVersion(req.body, {
+          pin: req.query.pin === 'true',
+        });
+
+      res.status(201).json({ template });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleTemplateHistory(req, res) {
+    try {
+      const versions = await this.components.templateManager.getTemplateHistory(
+        req.params.name
+      );
+
+      res.json({ name: req.params.name, versions });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleDeprecateTemplate(req, res) {
+    try {
+      const { name, version } = req.params;
+      const template =
+        await this.components.templateManager.deprecateTemplateVersion(
+          `${name}@${version}`,
+          { reason: req.body?.reason }
+        );
+
+      res.json({ template });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleTemplateDiff(req, res) {
+    try {
+      const { from, to, composed } = req.query;
+      const diff = await this.components.templateManager.diffTemplateVersions(
+        req.params.name,
+        from,
+        to,
+        { composed: composed === 'true' }
+      );
+
+      res.json({ diff });
+    } catch (error) {
+      this.sendError(res, error);
     }
   }
 
@@ -551,66 +1373,180 @@ class SPOTAPIServer {
 
   async handleGenerate(req, res) {
     try {
-      const { template, content, provider, options = {} } = req.body;
+      const {
+        template,
+        content,
+        provider,
+        experimentId,
+        options = {},
+      } = req.body;
 
-      if (!template || !content) {
+      if ((!template && !experimentId) || !content) {
         return res.status(400).json({
-          error: 'Template and content are required',
+          error: 'Template (or experimentId) and content are required',
         });
       }
 
-      const result = await this.components.spot.generate({
-        template,
-        content,
-        provider,
-        ...options,
+      await this.sendGeneration(
+        req,
+        res,
+        { template, content, provider, ...options },
+        'result'
+      );
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  // Unknown templates and experiments are a 404 and input that fails validation is a 400
+  // listing each failing field; anything else is a server error
+  sendError(res, error) {
+    if (
+      error instanceof ValidationError &&
+      ['template', 'template_version', 'experiment', 'workflow'].includes(
+        error.details.field
+      ) &&
+      /not found/i.test(error.message)
+    ) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: error.message,
+        field: error.details.field,
+        errors: error.details.errors,
       });
+    }
 
-      res.json({ result });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+
+  // Generation responses: JSON by default, Server-Sent Events when the
+  // client asks for a stream (Accept: text/event-stream, ?stream=true or
+  // "stream": true in the body)
+  wantsEventStream(req) {
+    return (
+      req.body?.stream === true ||
+      req.query.stream === 'true' ||
+      (req.get('Accept') || '').includes('text/event-stream')
+    );
+  }
+
+  // annotate(generation), if given, returns extra fields for the response,
+  // e.g. citation checks that need the finished output
+  async sendGeneration(req, res, options, resultKey, annotate = null) {
+    const { experimentId, userId } = req.body;
+    options = { experimentId, userId, ...options };
+
+    // Validate before responding, so invalid input is a 400 even for streams.
+    // Experiment arms are versions of one template, so the control's input
+    // schema stands in for whichever arm is picked.
+    const templateRef =
+      options.template ||
+      this.components.templateManager.requireExperiment(experimentId)
+        .templates[0];
+    const templateConfig = await this.components.templateManager.getTemplate(
+      templateRef
+    );
+    await this.components.spot.validateInput(options.content, templateConfig);
+
+    if (this.wantsEventStream(req)) {
+      return await this.streamGeneration(
+        req,
+        res,
+        options,
+        resultKey,
+        annotate
+      );
     }
+
+    const result = await this.components.spot.generate(options);
+    res.json({ [resultKey]: { ...result, ...annotate?.(result) } });
   }
 
-  async handleScaffold(req, res) {
-    try {
-      const { asset_type, topic, audience, tone, word_count = 600 } = req.body;
+  async streamGeneration(req, res, options, resultKey, annotate = null) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
 
-      if (!asset_type || !topic || !audience || !tone) {
-        return res.status(400).json({
-          error: 'asset_type, topic, audience, and tone are required',
+    let clientClosed = false;
+    res.on('close', () => {
+      clientClosed = true;
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      for await (const event of this.components.spot.generateStream(options)) {
+        // Stop pulling from the provider once the client has gone away
+        if (clientClosed) break;
+
+        if (event.type === 'chunk') {
+          send('chunk', { content: event.content });
+        } else if (event.type === 'done') {
+          const { type, ...rest } = event;
+          const result = { success: true, ...rest };
+          send('done', { [resultKey]: { ...result, ...annotate?.(result) } });
+        }
+      }
+    } catch (error) {
+      if (!clientClosed) {
+        send('error', {
+          error: error.message,
+          timestamp: new Date().toISOString(),
         });
       }
+    }
 
-      const result = await this.components.spot.generate({
-        template: 'draft_scaffold@1.0.0',
-        content: { asset_type, topic, audience, tone, word_count },
-      });
+    res.end();
+  }
 
-      res.json({ scaffold: result });
+  async handleScaffold(req, res) {
+    try {
+      const { asset_type, topic, audience, tone, word_count } = req.body;
+
+      await this.sendGeneration(
+        req,
+        res,
+        {
+          template: 'draft_scaffold',
+          content: { asset_type, topic, audience, tone, word_count },
+        },
+        'scaffold'
+      );
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error);
     }
   }
 
   async handleExpand(req, res) {
     try {
-      const { section_json } = req.body;
-
-      if (!section_json) {
-        return res.status(400).json({
-          error: 'section_json is required',
-        });
-      }
-
-      const result = await this.components.spot.generate({
-        template: 'section_expand@1.0.0',
-        content: { section_json },
-      });
+      const stylePack = await this.components.config.loadStylePack();
+      const {
+        section_json,
+        style_pack_rules = stylePack,
+        must_use = stylePack.must_use || [],
+        must_avoid = stylePack.must_avoid || [],
+      } = req.body;
 
-      res.json({ expanded: result });
+      await this.sendGeneration(
+        req,
+        res,
+        {
+          template: 'section_expand',
+          content: { section_json, style_pack_rules, must_use, must_avoid },
+        },
+        'expanded'
+      );
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error);
     }
   }
 
@@ -618,72 +1554,435 @@ class SPOTAPIServer {
     try {
       const {
         text,
+        original_text = text,
         audience,
         tone,
         grade_level,
         words,
-        locale = 'en-US',
+        locale,
       } = req.body;
 
-      if (!text || !audience || !tone) {
-        return res.status(400).json({
-          error: 'text, audience, and tone are required',
-        });
+      await this.sendGeneration(
+        req,
+        res,
+        {
+          template: 'rewrite_localize',
+          content: {
+            original_text,
+            audience,
+            tone,
+            grade_level,
+            words,
+            locale,
+          },
+        },
+        'rewritten'
+      );
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleSummarize(req, res) {
+    try {
+      const {
+        content,
+        transcript_text = content,
+        mode,
+        meeting_date,
+      } = req.body;
+      if (meeting_date !== undefined && !parseMeetingDate(meeting_date)) {
+        throw new ValidationError(
+          `Invalid meeting_date: ${meeting_date}. Use YYYY-MM-DD`,
+          'meeting_date',
+          meeting_date
+        );
       }
 
-      const result = await this.components.spot.generate({
-        template: 'rewrite_localize@1.0.0',
-        content: { text, audience, tone, grade_level, words, locale },
-      });
+      await this.sendGeneration(
+        req,
+        res,
+        {
+          template: 'summarize_grounded',
+          content: {
+            transcript_text:
+              typeof transcript_text === 'string'
+                ? normalizeTranscript(transcript_text)
+                : transcript_text,
+            mode,
+          },
+        },
+        'summary',
+        ({ result }) => ({
+          citations: result.parsed
+            ? verifyCitations(result.parsed, transcript_text)
+            : null,
+          actions: result.parsed
+            ? processActionItems(result.parsed.actions || [], {
+                transcript: transcript_text,
+                meetingDate: meeting_date,
+              })
+            : null,
+        })
+      );
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
 
-      res.json({ rewritten: result });
+  async handleExportActions(req, res) {
+    try {
+      const { format = 'ics' } = req.query;
+      const { actions, transcript_text, meeting_date } = req.body;
+
+      if (!['ics', 'csv'].includes(format)) {
+        throw new ValidationError(
+          `Invalid format: ${format}. Use ics or csv`,
+          'format',
+          format
+        );
+      }
+      if (!Array.isArray(actions)) {
+        throw new ValidationError(
+          'actions must be an array',
+          'actions',
+          actions
+        );
+      }
+
+      const result = processActionItems(actions, {
+        transcript: transcript_text,
+        meetingDate: meeting_date,
+      });
+      const body =
+        format === 'ics'
+          ? actionsToICS(result.actions, { name: 'Meeting action items' })
+          : actionsToCSV(result.actions);
+
+      res
+        .status(200)
+        .set({
+          'Content-Type':
+            format === 'ics'
+              ? 'text/calendar; charset=utf-8'
+              : 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="actions.${format}"`,
+        })
+        .send(body);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error);
     }
   }
 
-  async handleSummarize(req, res) {
+  async handleRenderEmail(req, res) {
     try {
-      const { content, mode = 'standard' } = req.body;
+      const { format = 'json' } = req.query;
+      const {
+        variant,
+        channel = 'email',
+        constraints,
+        footer,
+        from,
+        to,
+      } = req.body;
 
-      if (!content) {
-        return res.status(400).json({
-          error: 'content is required',
-        });
+      if (![...EMAIL_FORMATS, 'json'].includes(format)) {
+        throw new ValidationError(
+          `Invalid format: ${format}. Use json, ${EMAIL_FORMATS.join(', ')}`,
+          'format',
+          format
+        );
+      }
+      if (channelRegistry.get(channel)?.kind !== 'email') {
+        throw new ValidationError(
+          `${channel} is not an email channel`,
+          'channel',
+          channel
+        );
+      }
+      if (
+        typeof variant !== 'string' &&
+        (!variant || typeof variant !== 'object')
+      ) {
+        throw new ValidationError(
+          'variant must be an object or a string',
+          'variant',
+          variant
+        );
       }
 
-      const result = await this.components.spot.generate({
-        template: 'summarize_grounded@1.0.0',
-        content: { content, mode },
+      const name = channelRegistry.get(channel).name;
+      const email = renderEmail(variant, {
+        channel: name,
+        constraints:
+          constraints ??
+          channelRegistry.presets(
+            [name],
+            await this.components.config.loadConfig('channels')
+          )[name],
+        footer,
       });
+      if (format === 'json') {
+        res.json({ email });
+        return;
+      }
 
-      res.json({ summary: result });
+      const types = {
+        html: ['text/html', 'html'],
+        mjml: ['text/plain', 'mjml'],
+        text: ['text/plain', 'txt'],
+        eml: ['message/rfc822', 'eml'],
+      };
+      const [type, extension] = types[format];
+      res
+        .status(200)
+        .set({
+          'Content-Type': `${type}; charset=utf-8`,
+          'Content-Disposition': `attachment; filename="${name}.${extension}"`,
+        })
+        .send(exportEmail(email, format, { from, to }));
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error);
+    }
+  }
+
+  async handleRunPipeline(req, res) {
+    try {
+      const { brief, repurpose, channels, thread, enforce_channels, provider } =
+        req.body || {};
+      if (!brief || typeof brief !== 'object' || Array.isArray(brief)) {
+        throw new ValidationError('brief must be an object', 'brief', brief);
+      }
+
+      const run = await new ArticlePipeline(this.components.spot).run(brief, {
+        provider,
+        repurpose: repurpose === true || channels !== undefined,
+        channels,
+        thread: thread === true,
+        enforceChannels: enforce_channels === true,
+      });
+      res.json({ pipeline: run });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleListWorkflows(req, res) {
+    try {
+      res.json({ workflows: await listWorkflows() });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleRunWorkflow(req, res) {
+    try {
+      const { name } = req.params;
+      // Only names from workflows/, never file paths
+      if (!/^[\w-]+$/.test(name)) {
+        throw new ValidationError(
+          `Workflow not found: ${name}`,
+          'workflow',
+          name
+        );
+      }
+      const { inputs = {}, provider } = req.body || {};
+      const run = await new WorkflowExecutor(this.components.spot).run(
+        name,
+        inputs,
+        { provider }
+      );
+      res.json({ workflow: run });
+    } catch (error) {
+      this.sendError(res, error);
     }
   }
 
   async handleRepurpose(req, res) {
     try {
-      const { content, channels = ['email', 'social', 'blog'] } = req.body;
+      const {
+        content,
+        markdown = content,
+        channels,
+        enforce_channels,
+        thread,
+      } = req.body;
+      const overrides = await this.components.config.loadConfig('channels');
+      const registry = channelRegistry.withOverrides(overrides);
+      const channel_constraints =
+        req.body.channel_constraints ??
+        registry.presets(channels, overrides, { thread: thread === true });
+
+      await this.sendGeneration(
+        req,
+        res,
+        {
+          template: 'repurpose_pack',
+          content: { markdown, channel_constraints },
+          enforceChannels: enforce_channels === true,
+        },
+        'repurposed',
+        ({ result }) => ({
+          formatted: registry.formatOutput(
+            result.parsed ?? extractJson(result.content).value,
+            channels
+          ),
+        })
+      );
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
 
-      if (!content) {
+  async handleListChannels(req, res) {
+    try {
+      const overrides = await this.components.config.loadConfig('channels');
+      // Includes the channels that are only in configs/channels.json
+      const registry = channelRegistry.withOverrides(overrides);
+      const defaults = Object.keys(registry.presets(undefined, overrides));
+      const channels = registry.list();
+      const presets = registry.presets(
+        channels.map((channel) => channel.name),
+        overrides
+      );
+
+      res.json({
+        channels: channels.map(({ name, label, aliases }) => {
+          const { output_shape, ...constraints } = presets[name];
+          return {
+            name,
+            label,
+            aliases,
+            constraints,
+            output_shape,
+            default: defaults.includes(name),
+          };
+        }),
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleUsage(req, res) {
+    try {
+      const { groupBy = 'template,provider,day', from, to } = req.query;
+      const fields = groupBy
+        .split(',')
+        .map((field) => field.trim())
+        .filter(Boolean);
+      const invalid = fields.filter(
+        (field) => !['template', 'provider', 'day'].includes(field)
+      );
+
+      if (invalid.length > 0) {
         return res.status(400).json({
-          error: 'content is required',
+          error: `Invalid groupBy field(s): ${invalid.join(
+            ', '
+          )}. Use template, provider, and/or day`,
         });
       }
 
-      const result = await this.components.spot.generate({
-        template: 'repurpose_pack@1.0.0',
-        content: { content, channels },
+      const report = this.components.spot.getUsageReport({
+        groupBy: fields,
+        from,
+        to,
       });
 
-      res.json({ repurposed: result });
+      res.json({ usage: report });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   }
 
+  async handleListExperiments(req, res) {
+    try {
+      const experiments = this.components.templateManager.listExperiments();
+      res.json({ experiments });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleStartExperiment(req, res) {
+    try {
+      const { id, templates, trafficSplit, metric, alpha, description } =
+        req.body;
+      const experiment = this.components.templateManager.startExperiment(
+        id,
+        templates,
+        trafficSplit,
+        { metric, alpha, description }
+      );
+
+      res.status(201).json({ experiment });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleExperimentResults(req, res) {
+    try {
+      const confidence = req.query.confidence
+        ? Number(req.query.confidence)
+        : undefined;
+      if (confidence !== undefined && !(confidence > 0 && confidence < 1)) {
+        throw new ValidationError(
+          'confidence must be between 0 and 1',
+          'confidence',
+          req.query.confidence
+        );
+      }
+      const experiment = this.components.templateManager.getExperimentResults(
+        req.params.id,
+        {
+          confidence,
+        }
+      );
+
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+
+      res.json({ experiment });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleStopExperiment(req, res) {
+    try {
+      this.components.templateManager.stopExperiment(req.params.id);
+      res.json({
+        experiment: this.components.templateManager.getExperimentResults(
+          req.params.id
+        ),
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async handleRecordExperimentScore(req, res) {
+    try {
+      const { templateId, score } = req.body;
+      this.components.templateManager.requireExperiment(req.params.id);
+
+      if (typeof score !== 'number' || !Number.isFinite(score)) {
+        throw new ValidationError('score must be a number', 'score', score);
+      }
+
+      await this.components.templateManager.recordExperimentResult(
+        req.params.id,
+        templateId,
+        { score }
+      );
+      res.status(201).json({ recorded: { templateId, score } });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
   async handleEvaluate(req, res) {
     try {
       const { template, options = {} } = req.body;
@@ -734,9 +2033,7 @@ class SPOTAPIServer {
       }
 
       // Load style pack
-      const stylePack = JSON.parse(
-        await fs.readFile(join(__dirname, '../../style/stylepack.json'), 'utf8')
-      );
+      const stylePack = await this.components.config.loadStylePack();
 
       // Basic style checking (you can expand this)
       const violations = [];
@@ -764,9 +2061,7 @@ class SPOTAPIServer {
 
   async handleGetStyleRules(req, res) {
     try {
-      const stylePack = JSON.parse(
-        await fs.readFile(join(__dirname, '../../style/stylepack.json'), 'utf8')
-      );
+      const stylePack = await this.components.config.loadStylePack();
 
       res.json({ stylepack: stylePack });
     } catch (error) {
@@ -0,0 +1,293 @@
+/**
+ * Email Renderer
+ *
+ * Turns an email channel variant ({ subject, preheader, body, cta }) into a
+ * message ready for an ESP: a responsive HTML part from the bundled
+ * template (src/channels/templates/email.html), the same layout as MJML
+ * for teams that compile their own, a plain-text part, and a multipart
+ * .eml file. The variant is checked against the channel's limits
+ * (subject_max, preheader_max, body_max_words, cta_required) as it is
+ * rendered.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { renderTemplate } from '../utils/templateEngine.js';
+import { findChannel, validateVariant } from '../lint/channelValidator.js';
+import { channelRegistry } from './registry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+
+export const EMAIL_FORMATS = ['html', 'mjml', 'text', 'eml'];
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>()"']+[^\s<>()"'.,;:!?]/gi;
+
+const templates = new Map();
+
+function loadTemplate(name) {
+  if (!templates.has(name)) {
+    templates.set(
+      name,
+      fs.readFileSync(path.join(TEMPLATE_DIR, `email.${name}`), 'utf8')
+    );
+  }
+  return templates.get(name);
+}
+
+function field(variant, ...names) {
+  const name = names.find((key) => typeof variant?.[key] === 'string');
+  return name ? variant[name].trim() : '';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The call to action as { text, url }: a "cta" string or { text, url }
+// object, with the link from cta_url, url or link, or a URL in the CTA text
+function callToAction(variant) {
+  const cta = variant?.cta ?? variant?.call_to_action;
+  let text = typeof cta === 'string' ? cta.trim() : field(cta, 'text', 'label');
+  let url =
+    field(cta, 'url', 'href') || field(variant, 'cta_url', 'url', 'link');
+
+  const inline = text.match(URL_PATTERN);
+  if (inline) {
+    url = url || inline[0];
+    text = text
+      .replace(inline[0], '')
+      .replace(/[\s:→-]+$/, '')
+      .trim();
+  }
+  return { text: text || url || '', url: url || null };
+}
+
+/**
+ * The parts of an email variant: { subject, preheader, body, cta: { text,
+ * url } }. Field names follow the channel validator (subject_line,
+ * preview, text, content, call_to_action are accepted too).
+ */
+export function emailParts(variant) {
+  const fields = typeof variant === 'string' ? { body: variant } : variant;
+  return {
+    subject: field(fields, 'subject', 'subject_line'),
+    preheader: field(fields, 'preheader', 'preview', 'preview_text'),
+    body: field(fields, 'body', 'text', 'content'),
+    cta: callToAction(fields),
+  };
+}
+
+function linkify(html) {
+  return html.replace(URL_PATTERN, (url) => `<a href="${url}">${url}</a>`);
+}
+
+/**
+ * Body text as HTML: paragraphs at blank lines, "- " and "1. " lines as
+ * lists, line breaks kept, and links made clickable. Text is escaped.
+ */
+export function bodyToHtml(body) {
+  return String(body)
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block) => {
+      const lines = block.split('\n').map((line) => line.trim());
+      const list = lines.every((line) => /^[-*•]\s+/.test(line))
+        ? 'ul'
+        : lines.every((line) => /^\d+[.)]\s+/.test(line))
+        ? 'ol'
+        : null;
+
+      if (list) {
+        const items = lines.map(
+          (line) =>
+            `<li>${linkify(
+              escapeHtml(line.replace(/^([-*•]|\d+[.)])\s+/, ''))
+            )}</li>`
+        );
+        return `<${list} style="margin: 0 0 16px; padding-left: 24px">${items.join(
+          ''
+        )}</${list}>`;
+      }
+      return `<p style="margin: 0 0 16px">${lines
+        .map((line) => linkify(escapeHtml(line)))
+        .join('<br />')}</p>`;
+    })
+    .join('\n');
+}
+
+function bodyToText(parts, footer) {
+  const { text, url } = parts.cta;
+  const cta = url && text !== url ? `${text}: ${url}` : text;
+  return (
+    [parts.body, cta, footer].filter(Boolean).join('\n\n').replace(/\r/g, '') +
+    '\n'
+  );
+}
+
+/**
+ * Render an email variant. options: { channel = 'email', constraints (the
+ * channel's limits; defaults to its built-in presets), footer, lang }.
+ * Returns { channel, subject, preheader, cta, html, mjml, text, valid,
+ * violations }, where violations are the channel validator's.
+ */
+export function renderEmail(variant, options = {}) {
+  const { channel = 'email', footer = '', lang = 'en' } = options;
+  const constraints =
+    options.constraints ?? channelRegistry.get(channel)?.constraints ?? {};
+  const parts = emailParts(variant);
+  const data = {
+    lang,
+    subject: escapeHtml(parts.subject),
+    preheader: escapeHtml(parts.preheader),
+    body: bodyToHtml(parts.body),
+    cta: escapeHtml(parts.cta.text),
+    cta_url: parts.cta.url ? escapeHtml(parts.cta.url) : '',
+    footer: escapeHtml(footer),
+  };
+  const { valid, violations } = validateVariant(variant, constraints);
+
+  return {
+    channel,
+    subject: parts.subject,
+    preheader: parts.preheader,
+    cta: parts.cta,
+    html: renderTemplate(loadTemplate('html'), data),
+    mjml: renderTemplate(loadTemplate('mjml'), data),
+    text: bodyToText(parts, footer),
+    valid,
+    violations,
+  };
+}
+
+/**
+ * Render the variants of every email channel (channels with kind "email",
+ * such as email and newsletter) in a repurpose_pack output. presets are the
+ * channel limits keyed by channel. Returns [{ channel, variant, email }].
+ */
+export function renderEmails(output, presets = {}, options = {}) {
+  return channelRegistry
+    .list()
+    .filter((channel) => channel.kind === 'email')
+    .flatMap(({ name }) => {
+      const found = findChannel(output, name);
+      if (!found) return [];
+      return found.variants.map((variant, index) => ({
+        channel: name,
+        variant: index,
+        email: renderEmail(variant, {
+          ...options,
+          channel: name,
+          constraints: presets[name],
+        }),
+      }));
+    });
+}
+
+// RFC 2045 quoted-printable, with CRLF line breaks and 76-character lines
+function quotedPrintable(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => {
+      let encoded = '';
+      for (const byte of Buffer.from(line, 'utf8')) {
+        const literal =
+          (byte >= 33 && byte <= 126 && byte !== 61) || byte === 32;
+        encoded += literal
+          ? String.fromCharCode(byte)
+          : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+      }
+      // Trailing whitespace would be stripped in transit
+      encoded = encoded.replace(/ $/, '=20');
+
+      const wrapped = [];
+      while (encoded.length > 76) {
+        // Soft breaks must not split an =XX escape
+        const escape = encoded.lastIndexOf('=', 74);
+        const cut = escape > 72 ? escape : 75;
+        wrapped.push(`${encoded.slice(0, cut)}=`);
+        encoded = encoded.slice(cut);
+      }
+      wrapped.push(encoded);
+      return wrapped.join('\r\n');
+    })
+    .join('\r\n');
+}
+
+// RFC 2047 encoded words for headers with non-ASCII text, one per folded
+// line. 39 bytes of text keep a "Subject: " line within 78 characters.
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+
+  const words = [];
+  let current = '';
+  for (const char of value) {
+    if (Buffer.byteLength(current + char, 'utf8') > 39) {
+      words.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  words.push(current);
+  return words
+    .map(
+      (word) => `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`
+    )
+    .join('\r\n ');
+}
+
+/**
+ * A rendered email as an .eml file (multipart/alternative with the text
+ * and HTML parts). options: { from, to, date = now }. Without from and to
+ * the file is a draft: X-Unsent makes mail clients open it for editing.
+ */
+export function emailToEml(email, options = {}) {
+  const date = options.date ? new Date(options.date) : new Date();
+  const hash = crypto
+    .createHash('sha1')
+    .update(email.subject + email.html)
+    .digest('hex');
+  const boundary = `spot-${hash.slice(0, 24)}`;
+
+  const headers = [
+    options.from && `From: ${options.from}`,
+    options.to && `To: ${options.to}`,
+    `Subject: ${encodeHeader(email.subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${hash.slice(0, 32)}@spot-toolkit>`,
+    !(options.from && options.to) && 'X-Unsent: 1',
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative;\r\n boundary="${boundary}"`,
+  ].filter(Boolean);
+  const part = (type, content) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    quotedPrintable(content),
+  ];
+
+  return (
+    [
+      ...headers,
+      '',
+      ...part('text/plain', email.text),
+      ...part('text/html', email.html),
+      `--${boundary}--`,
+    ].join('\r\n') + '\r\n'
+  );
+}
+
+// A rendered email in one of EMAIL_FORMATS
+export function exportEmail(email, format, options = {}) {
+  if (format === 'eml') return emailToEml(email, options);
+  return format === 'text' ? email.text : email[format];
+}
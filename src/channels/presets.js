@@ -0,0 +1,194 @@
+/**
+ * Built-in Channels
+ *
+ * Each channel declares its default limits (the keys checked by
+ * src/lint/channelValidator.js), the fields a variant should have, and a
+ * formatter that turns a variant into publish-ready text. Limits in
+ * configs/channels.json override these defaults.
+ */
+
+// The first string field of a variant (a string variant is its own text)
+function field(variant, ...names) {
+  if (typeof variant === 'string') {
+    return names.includes('text') ? variant : '';
+  }
+  const name = names.find((key) => typeof variant?.[key] === 'string');
+  return name ? variant[name].trim() : '';
+}
+
+// Hashtags listed separately that the text does not already contain
+function hashtags(variant, text) {
+  return (Array.isArray(variant?.hashtags) ? variant.hashtags : [])
+    .map((tag) => (String(tag).startsWith('#') ? String(tag) : `#${tag}`))
+    .filter((tag) => !text.includes(tag));
+}
+
+function blocks(...parts) {
+  return parts.filter(Boolean).join('\n\n');
+}
+
+export const POST_SHAPE = {
+  text: 'Post text',
+  hashtags: 'Hashtags, if any, as a list',
+};
+
+// A social post: the text, then its hashtags on their own line
+export function formatPost(variant) {
+  const text = field(variant, 'text', 'content', 'post');
+  return blocks(text, hashtags(variant, text).join(' '));
+}
+
+const EMAIL_SHAPE = {
+  subject: 'Subject line',
+  preheader: 'Preview text shown after the subject',
+  body: 'Body text',
+  cta: 'Call to action',
+};
+
+function formatEmail(variant) {
+  const subject = field(variant, 'subject', 'subject_line');
+  const preheader = field(variant, 'preheader', 'preview', 'preview_text');
+  return blocks(
+    [subject && `Subject: ${subject}`, preheader && `Preheader: ${preheader}`]
+      .filter(Boolean)
+      .join('\n'),
+    field(variant, 'text', 'body', 'content'),
+    field(variant, 'cta', 'call_to_action')
+  );
+}
+
+export const BUILTIN_CHANNELS = [
+  {
+    name: 'linkedin',
+    label: 'LinkedIn',
+    aliases: ['linked_in'],
+    constraints: { max_chars: 900, hashtags_max: 3, links_max: 1 },
+    shape: POST_SHAPE,
+    format: formatPost,
+  },
+  {
+    name: 'x',
+    label: 'X',
+    aliases: ['twitter', 'tweet', 'tweets'],
+    constraints: {
+      max_chars: 280,
+      hashtags_max: 2,
+      links_max: 1,
+      linebreaks: false,
+    },
+    shape: POST_SHAPE,
+    // In thread mode the model writes the whole thread as one text, and
+    // SPOT splits it into numbered posts (see thread.js)
+    threadShape: {
+      text: 'The whole thread as one text; it is split into numbered posts',
+      hashtags: 'Hashtags for the thread, if any, as a list',
+    },
+    // Line breaks are not allowed, so hashtags follow on the same line. A
+    // thread is its posts, one per paragraph.
+    format: (variant) => {
+      if (Array.isArray(variant?.posts)) return variant.posts.join('\n\n');
+      const text = field(variant, 'text', 'content', 'post', 'tweet');
+      return [text, ...hashtags(variant, text)].filter(Boolean).join(' ');
+    },
+  },
+  {
+    name: 'mastodon',
+    label: 'Mastodon',
+    aliases: ['toot'],
+    // Mastodon counts every link as 23 characters, like X
+    constraints: { max_chars: 500, hashtags_max: 5, links_max: 2 },
+    shape: {
+      ...POST_SHAPE,
+      content_warning: 'Content warning, if the post needs one',
+    },
+    format: (variant) => {
+      const warning = field(variant, 'content_warning', 'cw');
+      return blocks(warning && `CW: ${warning}`, formatPost(variant));
+    },
+  },
+  {
+    name: 'bluesky',
+    label: 'Bluesky',
+    aliases: ['bsky'],
+    constraints: { max_chars: 300, hashtags_max: 3, links_max: 1 },
+    shape: POST_SHAPE,
+    format: formatPost,
+  },
+  {
+    name: 'threads',
+    label: 'Threads',
+    aliases: [],
+    // Threads posts take a single topic tag
+    constraints: { max_chars: 500, hashtags_max: 1, links_max: 1 },
+    shape: POST_SHAPE,
+    format: formatPost,
+  },
+  {
+    name: 'email',
+    label: 'Email',
+    aliases: [],
+    kind: 'email',
+    constraints: {
+      subject_max: 60,
+      preheader_max: 40,
+      body_max_words: 120,
+      cta_required: true,
+    },
+    shape: EMAIL_SHAPE,
+    format: formatEmail,
+  },
+  {
+    name: 'newsletter',
+    label: 'Newsletter',
+    aliases: [],
+    kind: 'email',
+    constraints: {
+      subject_max: 60,
+      preheader_max: 90,
+      body_max_words: 600,
+      cta_required: true,
+    },
+    shape: { ...EMAIL_SHAPE, body: 'Body text, in short sections' },
+    format: formatEmail,
+  },
+  {
+    name: 'blog_excerpt',
+    label: 'Blog excerpt',
+    aliases: ['blog', 'excerpt'],
+    // 55 words is the usual excerpt length (WordPress's default)
+    constraints: { body_max_words: 55, links_max: 0 },
+    shape: { title: 'Post title', excerpt: 'Teaser paragraph' },
+    format: (variant) =>
+      blocks(
+        field(variant, 'title'),
+        field(variant, 'excerpt', 'text', 'content')
+      ),
+  },
+  {
+    name: 'youtube_description',
+    label: 'YouTube description',
+    aliases: ['youtube'],
+    // YouTube ignores every hashtag on a video with more than 15
+    constraints: { max_chars: 5000, hashtags_max: 15 },
+    shape: {
+      description: 'Description text',
+      chapters: 'Chapters as a list of { time: "MM:SS", title }',
+      hashtags: 'Hashtags, if any, as a list',
+    },
+    format: (variant) => {
+      const text = field(variant, 'description', 'text', 'content');
+      const chapters = (
+        Array.isArray(variant?.chapters) ? variant.chapters : []
+      ).map((chapter) =>
+        typeof chapter === 'string'
+          ? chapter
+          : `${chapter.time} ${chapter.title}`
+      );
+      return blocks(
+        text,
+        chapters.join('\n'),
+        hashtags(variant, text).join(' ')
+      );
+    },
+  },
+];
@@ -0,0 +1,181 @@
+/**
+ * Channel Registry
+ *
+ * Channels that repurpose_pack can write for. A channel is
+ *
+ *   { name, label, aliases, kind, constraints, shape, threadShape, format(variant) }
+ *
+ * where constraints are the limits checked by the channel validator, shape
+ * describes a variant's fields for the prompt, and format turns a variant
+ * into publish-ready text. Channels with a threadShape support thread
+ * mode ("thread": true), where variants are split into numbered posts.
+ * Channels of kind "email" can be rendered as messages (see email.js).
+ * Limits in configs/channels.json override a channel's defaults, and a
+ * channel only listed there gets the generic post shape in the copy of the
+ * registry that withOverrides() returns; the shared registry never changes.
+ */
+
+import { ValidationError } from '../utils/errorHandling.js';
+import { BUILTIN_CHANNELS, formatPost, POST_SHAPE } from './presets.js';
+
+const CHANNEL_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const GENERIC_CHANNEL = {
+  aliases: [],
+  constraints: {},
+  shape: POST_SHAPE,
+  format: formatPost,
+};
+
+export class ChannelRegistry {
+  constructor(channels = BUILTIN_CHANNELS) {
+    this.channels = new Map();
+    for (const channel of channels) this.register(channel);
+  }
+
+  /**
+   * Add or replace a channel. Returns the registry for chaining.
+   */
+  register(channel) {
+    const { name } = channel || {};
+    if (typeof name !== 'string' || !CHANNEL_NAME_PATTERN.test(name)) {
+      throw new ValidationError(
+        `Invalid channel name: ${name}. Use lowercase letters, digits and underscores`,
+        'channel',
+        name
+      );
+    }
+    if (channel.format !== undefined && typeof channel.format !== 'function') {
+      throw new ValidationError(
+        `Channel ${name} has an invalid format: expected a function`,
+        'channel',
+        name
+      );
+    }
+
+    this.channels.set(name, {
+      ...GENERIC_CHANNEL,
+      label: name,
+      ...channel,
+    });
+    return this;
+  }
+
+  // A channel by name or alias, or null
+  get(name) {
+    const key = String(name).trim().toLowerCase();
+    if (this.channels.has(key)) return this.channels.get(key);
+    for (const channel of this.channels.values()) {
+      if (channel.aliases.includes(key)) return channel;
+    }
+    return null;
+  }
+
+  list() {
+    return Array.from(this.channels.values());
+  }
+
+  /**
+   * A copy of the registry that also has the channels only named in the
+   * overrides (usually configs/channels.json), with the generic post shape
+   */
+  withOverrides(overrides = {}) {
+    const registry = new ChannelRegistry(this.list());
+    for (const name of Object.keys(overrides)) {
+      if (!registry.get(name)) registry.register({ name });
+    }
+    return registry;
+  }
+
+  /**
+   * Canonical names for a channel selection: an array or a comma-separated
+   * string of names or aliases. Throws a ValidationError naming any
+   * unknown channels.
+   */
+  resolve(names) {
+    const requested = (
+      typeof names === 'string' ? names.split(',') : names || []
+    )
+      .map((name) => String(name).trim())
+      .filter(Boolean);
+    const unknown = requested.filter((name) => !this.get(name));
+
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown channel(s): ${unknown.join(', ')}. Available: ${Array.from(
+          this.channels.keys()
+        ).join(', ')}`,
+        'channels',
+        unknown
+      );
+    }
+    return Array.from(new Set(requested.map((name) => this.get(name).name)));
+  }
+
+  /**
+   * Presets for the prompt and the validator, keyed by channel: the
+   * channel's limits with any overrides applied, and its variant fields as
+   * "output_shape". Without names, the channels in the overrides (usually
+   * configs/channels.json) are used. Channels that are only in the
+   * overrides get the generic post shape (see withOverrides). options.thread
+   * turns on thread mode for the selected channels that support it.
+   */
+  presets(names, overrides = {}, options = {}) {
+    const registry = this.withOverrides(overrides);
+
+    // Overrides may use an alias, such as "twitter" for x
+    const limits = {};
+    for (const [key, value] of Object.entries(overrides)) {
+      limits[registry.get(key).name] = value;
+    }
+
+    return Object.fromEntries(
+      registry.resolve(names ?? Object.keys(overrides)).map((name) => {
+        const channel = registry.get(name);
+        const preset = { ...channel.constraints, ...limits[name] };
+        if (options.thread && channel.threadShape) preset.thread = true;
+
+        const thread = preset.thread === true && channel.threadShape;
+        return [name, { ...preset, output_shape: thread || channel.shape }];
+      })
+    );
+  }
+
+  // Output keys a channel may appear under: its name and aliases
+  keysFor(name) {
+    const channel = this.get(name);
+    return channel ? [channel.name, ...channel.aliases] : [name];
+  }
+
+  /**
+   * Publish-ready text for each channel in a repurpose_pack output:
+   * { [channel]: [text, ...] }, one entry per variant. Output keys that are
+   * not channels (such as "rationale") are skipped, and so are channels
+   * outside the selection, when names are given.
+   */
+  formatOutput(output, names) {
+    if (!output || typeof output !== 'object') return {};
+    const selected = names && this.resolve(names);
+
+    const formatted = {};
+    for (const [key, value] of Object.entries(output)) {
+      const channel = this.get(key);
+      if (!channel || (selected && !selected.includes(channel.name))) {
+        continue;
+      }
+
+      const variants = Array.isArray(value)
+        ? value
+        : Array.isArray(value?.variants)
+        ? value.variants
+        : [value];
+      formatted[channel.name] = variants.map((variant) =>
+        channel.format(variant)
+      );
+    }
+    return formatted;
+  }
+}
+
+// The registry shared by the CLI, the API and the validator
+export const channelRegistry = new ChannelRegistry();
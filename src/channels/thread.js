@@ -0,0 +1,186 @@
+/**
+ * Threads
+ *
+ * Splits long-form text into a numbered thread ("1/4 ...") for channels
+ * with a per-post limit, such as x. Posts break between sentences, and
+ * only inside a sentence (between words) when it is longer than a post.
+ * The hashtag budget (hashtags_max) applies to the whole thread: extra
+ * inline hashtags lose their "#", and listed hashtags fill what is left
+ * at the end of the thread.
+ */
+
+import {
+  findChannel,
+  parseChannelPresets,
+  variantText,
+  weightedLength,
+} from '../lint/channelValidator.js';
+import { channelRegistry } from './registry.js';
+
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu;
+
+// Keep at most `max` distinct hashtags: the first ones inline, then the
+// listed ones that are not inline yet
+function budgetHashtags(text, listed, max) {
+  const kept = new Set();
+  const budgeted = text.replace(HASHTAG_PATTERN, (match, before, tag) => {
+    const key = tag.toLowerCase();
+    if (kept.has(key) || kept.size < max) {
+      kept.add(key);
+      return match;
+    }
+    return `${before}${tag}`;
+  });
+
+  const appended = [];
+  for (const tag of listed) {
+    const name = String(tag).replace(/^#/, '');
+    if (!name || kept.has(name.toLowerCase()) || kept.size >= max) continue;
+    kept.add(name.toLowerCase());
+    appended.push(`#${name}`);
+  }
+  return [budgeted, appended.join(' ')].filter(Boolean).join(' ');
+}
+
+// Pieces of at most maxChars: sentences, then words, then characters
+function pieces(text, maxChars) {
+  return text
+    .split(/(?<=[.!?…])\s+/)
+    .flatMap((sentence) => {
+      if (weightedLength(sentence) <= maxChars) return [sentence];
+      return sentence.split(' ').flatMap((word) => {
+        if (weightedLength(word) <= maxChars) return [word];
+        const chars = Array.from(word);
+        const parts = [];
+        for (let i = 0; i < chars.length; i += maxChars) {
+          parts.push(chars.slice(i, i + maxChars).join(''));
+        }
+        return parts;
+      });
+    })
+    .filter(Boolean);
+}
+
+function pack(text, maxChars) {
+  const posts = [];
+  let current = '';
+
+  for (const piece of pieces(text, maxChars)) {
+    const candidate = current ? `${current} ${piece}` : piece;
+    if (current && weightedLength(candidate) > maxChars) {
+      posts.push(current);
+      current = piece;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) posts.push(current);
+
+  return posts;
+}
+
+/**
+ * Split text into a thread of posts of at most maxChars each (links count
+ * as 23 characters), numbered "1/N " when there is more than one.
+ * options: { maxChars = 280, hashtags: [] (listed hashtags), hashtagsMax,
+ * numbering = true }
+ */
+export function splitThread(text, options = {}) {
+  const {
+    maxChars = 280,
+    hashtags = [],
+    hashtagsMax = Infinity,
+    numbering = true,
+  } = options;
+  const body = budgetHashtags(
+    String(text).replace(/\s+/g, ' ').trim(),
+    hashtags,
+    hashtagsMax
+  );
+
+  if (weightedLength(body) <= maxChars) return body ? [body] : [];
+  if (!numbering) return pack(body, maxChars);
+
+  // The "i/N " prefix depends on the number of posts, so repack until the
+  // count's width is stable
+  let total = 9;
+  let posts;
+  for (;;) {
+    const width = String(total).length;
+    posts = pack(body, maxChars - (width * 2 + 2));
+    if (String(posts.length).length <= width) break;
+    total = posts.length;
+  }
+  return posts.map((post, index) => `${index + 1}/${posts.length} ${post}`);
+}
+
+/**
+ * Split a variant into a thread: { ...variant, posts }. A variant that is
+ * already a thread (posts or a thread list) is re-split from its text.
+ */
+export function threadVariant(variant, constraints = {}) {
+  const fields = typeof variant === 'string' ? { text: variant } : variant;
+  const parts = Array.isArray(fields.posts)
+    ? fields.posts
+    : Array.isArray(fields.thread)
+    ? fields.thread
+    : null;
+  // Re-splitting numbered posts would number them twice
+  const text = parts
+    ? parts.map((post) => String(post).replace(/^\d+\/\d+\s+/, '')).join(' ')
+    : variantText(variant);
+
+  return {
+    ...fields,
+    thread: true,
+    posts: splitThread(text, {
+      maxChars: constraints.max_chars,
+      hashtags: Array.isArray(fields.hashtags) ? fields.hashtags : [],
+      hashtagsMax: constraints.hashtags_max,
+    }),
+  };
+}
+
+/**
+ * Turn channel variants into threads in place: every variant of a channel
+ * whose preset has "thread": true, and variants that ask for a thread
+ * themselves ("thread": true or a thread list) on channels that support
+ * threads. presets may be an object or a JSON string. Returns the output.
+ */
+export function applyThreads(output, presets) {
+  for (const [channel, constraints] of Object.entries(
+    parseChannelPresets(presets)
+  )) {
+    const found = findChannel(output, channel);
+    if (!found || !channelRegistry.get(channel)?.threadShape) continue;
+
+    found.variants.forEach((variant, index) => {
+      const wantsThread =
+        constraints?.thread === true ||
+        variant?.thread === true ||
+        Array.isArray(variant?.thread) ||
+        Array.isArray(variant?.posts);
+      if (wantsThread) {
+        found.set(index, threadVariant(variant, constraints || {}));
+      }
+    });
+  }
+  return output;
+}
+
+// Threads in an output channel as [{ variant, posts }]
+export function threadsOf(output, channel = 'x') {
+  const found = findChannel(output, channel);
+  return (found?.variants || [])
+    .map((variant, index) => ({ variant: index, posts: variant?.posts }))
+    .filter((thread) => Array.isArray(thread.posts));
+}
+
+// Plain-text thread export: posts separated by blank lines, threads by
+// a "---" line
+export function threadsToText(threads) {
+  return (
+    threads.map((thread) => thread.posts.join('\n\n')).join('\n\n---\n\n') +
+    '\n'
+  );
+}
@@ -2,11 +2,23 @@
 import 'dotenv/config';
 import { getProvider } from './providers/provider.js';
 import {
+  buildMessages,
   compilePrompt,
   loadTemplate,
   loadStylePack,
-  fillPlaceholders,
 } from './utils/prompting.js';
+import {
+  actionsToCSV,
+  actionsToICS,
+  parseMeetingDate,
+  processActionItems,
+} from './utils/actionItems.js';
+import { normalizeTranscript } from './utils/transcript.js';
+import { extractJson } from './utils/structuredOutput.js';
+import { enforceChannels, validateChannels } from './lint/channelValidator.js';
+import { channelRegistry } from './channels/registry.js';
+import { applyThreads, threadsOf, threadsToText } from './channels/thread.js';
+import { EMAIL_FORMATS, exportEmail, renderEmails } from './channels/email.js';
 import fs from 'fs';
 import path from 'path';
 import process from 'process';
@@ -29,69 +41,178 @@ function parseArgs() {
   return { cmd, args };
 }
 
-// Helper function to extract prompt text from compiled prompt object
-function extractPromptText(compiled) {
-  if (typeof compiled === 'string') {
-    return compiled;
+// Helper function to output text to console or file
+function outputResult(text, outputFile) {
+  if (outputFile) {
+    fs.writeFileSync(path.resolve(outputFile), text, 'utf8');
+    console.log(`Output written to: ${outputFile}`);
+  } else {
+    console.log(text);
   }
+}
 
-  // Format the prompt with style pack information
-  if (compiled.system && compiled.user && compiled.stylePack) {
-    const styleInstructions = [];
-
-    if (compiled.stylePack.brand_voice) {
-      styleInstructions.push(`Brand voice: ${compiled.stylePack.brand_voice}`);
-    }
+// Helper function to run the provider and output the result, streaming
+// chunks to the console as they arrive when --stream is set. Returns the
+// generated text.
+async function generateOutput(provider, messages, args, template) {
+  const options = {
+    template: { id: template.id, version: template.version },
+  };
 
-    if (compiled.stylePack.reading_level) {
-      styleInstructions.push(
-        `Target reading level: ${compiled.stylePack.reading_level}`
-      );
-    }
+  if (!args.stream) {
+    const out = await provider.generateText(messages, options);
+    outputResult(out, args.output);
+    return out;
+  }
 
-    if (compiled.stylePack.must_use && compiled.stylePack.must_use.length > 0) {
-      styleInstructions.push(
-        `Must use these terms: ${compiled.stylePack.must_use.join(', ')}`
-      );
-    }
+  let out = '';
+  for await (const chunk of provider.streamText(messages, options)) {
+    out += chunk;
+    if (!args.output) process.stdout.write(chunk);
+  }
 
-    if (
-      compiled.stylePack.must_avoid &&
-      compiled.stylePack.must_avoid.length > 0
-    ) {
-      styleInstructions.push(
-        `Avoid these terms: ${compiled.stylePack.must_avoid.join(', ')}`
-      );
-    }
+  if (args.output) {
+    outputResult(out, args.output);
+  } else {
+    process.stdout.write('\n');
+  }
+  return out;
+}
 
-    const systemPrompt =
-      compiled.system +
-      (styleInstructions.length > 0
-        ? `\n\nStyle requirements:\n${styleInstructions
-            .map((s) => `- ${s}`)
-            .join('\n')}`
-        : '');
+function reportViolations(report) {
+  for (const violation of report.violations) {
+    console.error(`Warning: ${violation.message}`);
+  }
+}
 
-    return `${systemPrompt}\n\nUser: ${compiled.user}`;
+// Write x threads as JSON ([{ variant, posts }]) or plain text, by
+// --thread_format or the file extension
+function exportThreads(output, file, format) {
+  const threads = threadsOf(output, 'x');
+  if (threads.length === 0) {
+    console.error('Warning: no x threads to export');
+    return;
   }
 
-  // Try common property names for the actual prompt text
-  return (
-    compiled.prompt ||
-    compiled.text ||
-    compiled.content ||
-    JSON.stringify(compiled)
+  const json = (format || path.extname(file).slice(1)) === 'json';
+  outputResult(
+    json ? JSON.stringify(threads, null, 2) + '\n' : threadsToText(threads),
+    file
   );
 }
 
-// Helper function to output text to console or file
-function outputResult(text, outputFile) {
-  if (outputFile) {
-    fs.writeFileSync(path.resolve(outputFile), text, 'utf8');
-    console.log(`Output written to: ${outputFile}`);
-  } else {
-    console.log(text);
+const EMAIL_EXTENSIONS = {
+  '.eml': 'eml',
+  '.html': 'html',
+  '.htm': 'html',
+  '.mjml': 'mjml',
+  '.txt': 'text',
+  '.json': 'json',
+};
+
+// --email_format, or the format the --email_output extension implies
+function emailFormat(args) {
+  const format =
+    args.email_format ||
+    EMAIL_EXTENSIONS[path.extname(args.email_output)] ||
+    'eml';
+  if (![...EMAIL_FORMATS, 'json'].includes(format)) {
+    throw new Error(
+      `Invalid --email_format: ${format}. Use ${EMAIL_FORMATS.join(
+        ', '
+      )} or json`
+    );
+  }
+  return format;
+}
+
+// Render the email and newsletter variants in the --email_output format
+// (.json holds every part). With several emails, each gets its own file:
+// welcome-newsletter-1.eml
+function exportEmails(output, channels, args) {
+  const file = args.email_output;
+  const ext = path.extname(file);
+  const format = emailFormat(args);
+
+  const emails = renderEmails(output, channels);
+  if (emails.length === 0) {
+    console.error('Warning: no email variants to export');
+    return;
+  }
+  for (const { channel, variant, email } of emails) {
+    outputResult(
+      format === 'json'
+        ? JSON.stringify(email, null, 2) + '\n'
+        : exportEmail(email, format, {
+            from: args.email_from,
+            to: args.email_to,
+          }),
+      emails.length === 1
+        ? file
+        : `${file.slice(0, file.length - ext.length)}-${channel}-${
+            variant + 1
+          }${ext}`
+    );
+  }
+}
+
+// Generate a content pack, split threads, and (with --enforce_channels)
+// re-prompt the variants that break their channel limits before printing
+async function repurposePack(provider, messages, channels, args, template) {
+  const options = {
+    template: { id: template.id, version: template.version },
+  };
+  const out = await provider.generateText(messages, options);
+  const pack = extractJson(out);
+  if (!pack.ok) {
+    outputResult(out, args.output);
+    console.error(`Warning: channel limits not checked: ${pack.error}`);
+    return;
+  }
+
+  applyThreads(pack.value, channels);
+  const { output, report } = args.enforce_channels
+    ? await enforceChannels(
+        pack.value,
+        channels,
+        (turns) => provider.generateText([...messages, ...turns], options),
+        { prepare: (repaired) => applyThreads(repaired, channels) }
+      )
+    : { output: pack.value, report: validateChannels(pack.value, channels) };
+
+  outputResult(JSON.stringify(output, null, 2), args.output);
+  if (args.thread_output) {
+    exportThreads(output, args.thread_output, args.thread_format);
+  }
+  if (args.email_output) exportEmails(output, channels, args);
+  reportViolations(report);
+}
+
+// Normalize a summary's action items against the meeting date and the
+// transcript's speakers, report issues on stderr, and write the --ics and
+// --csv exports
+function exportActions(out, transcript, args) {
+  const summary = extractJson(out);
+  if (!summary.ok) {
+    if (args.ics || args.csv) {
+      console.error(`Warning: no action items exported: ${summary.error}`);
+    }
+    return;
+  }
+
+  const result = processActionItems(summary.value.actions || [], {
+    transcript,
+    meetingDate: args.meeting_date,
+  });
+
+  for (const issue of result.issues) console.error(`Warning: ${issue.message}`);
+  if (args.ics) {
+    outputResult(
+      actionsToICS(result.actions, { name: 'Meeting action items' }),
+      args.ics
+    );
   }
+  if (args.csv) outputResult(actionsToCSV(result.actions), args.csv);
 }
 
 async function main() {
@@ -99,7 +220,7 @@ async function main() {
   const provider = await getProvider();
 
   if (cmd === 'scaffold') {
-    const t = await loadTemplate('draft_scaffold@1.0.0');
+    const t = await loadTemplate('draft_scaffold');
     const style = await loadStylePack();
     const compiled = compilePrompt(
       t,
@@ -112,11 +233,10 @@ async function main() {
       },
       style
     );
-    const promptText = extractPromptText(compiled);
-    const out = await provider.generateText(promptText);
-    outputResult(out, args.output);
+    const messages = buildMessages(compiled);
+    await generateOutput(provider, messages, args, t);
   } else if (cmd === 'expand') {
-    const t = await loadTemplate('section_expand@1.0.0');
+    const t = await loadTemplate('section_expand');
     const style = await loadStylePack();
     const section_json = args.section_json || '';
     const compiled = compilePrompt(
@@ -129,11 +249,10 @@ async function main() {
       },
       style
     );
-    const promptText = extractPromptText(compiled);
-    const out = await provider.generateText(promptText);
-    outputResult(out, args.output);
+    const messages = buildMessages(compiled);
+    await generateOutput(provider, messages, args, t);
   } else if (cmd === 'rewrite') {
-    const t = await loadTemplate('rewrite_localize@1.0.0');
+    const t = await loadTemplate('rewrite_localize');
     const style = await loadStylePack();
     const compiled = compilePrompt(
       t,
@@ -147,29 +266,45 @@ async function main() {
       },
       style
     );
-    const promptText = extractPromptText(compiled);
-    const out = await provider.generateText(promptText);
-    outputResult(out, args.output);
+    const messages = buildMessages(compiled);
+    await generateOutput(provider, messages, args, t);
   } else if (cmd === 'summarize') {
-    const t = await loadTemplate('summarize_grounded@1.0.0');
+    const t = await loadTemplate('summarize_grounded');
     const style = await loadStylePack();
     const file = args.file;
     const mode = args.mode || 'executive';
     const transcript_text = file
       ? fs.readFileSync(path.resolve(file), 'utf8')
       : '';
-    const compiled = compilePrompt(t, { mode, transcript_text }, style);
-    const promptText = extractPromptText(compiled);
-    const out = await provider.generateText(promptText);
-    outputResult(out, args.output);
+    if (args.meeting_date && !parseMeetingDate(args.meeting_date)) {
+      throw new Error(`Invalid --meeting_date: ${args.meeting_date}`);
+    }
+    const compiled = compilePrompt(
+      t,
+      {
+        mode,
+        transcript_text: normalizeTranscript(transcript_text, {
+          fileName: file,
+        }),
+      },
+      style
+    );
+    const messages = buildMessages(compiled);
+    const out = await generateOutput(provider, messages, args, t);
+    exportActions(out, transcript_text, args);
   } else if (cmd === 'repurpose') {
-    const t = await loadTemplate('repurpose_pack@1.0.0');
-    const channels = JSON.parse(
-      fs.readFileSync(
-        path.resolve(__dirname, '../configs/channels.json'),
-        'utf8'
-      )
+    const t = await loadTemplate('repurpose_pack');
+    const channels = channelRegistry.presets(
+      typeof args.channels === 'string' ? args.channels : undefined,
+      JSON.parse(
+        fs.readFileSync(
+          path.resolve(__dirname, '../configs/channels.json'),
+          'utf8'
+        )
+      ),
+      { thread: Boolean(args.thread) }
     );
+    if (args.email_output) emailFormat(args);
     const file = args.file;
     const markdown = file ? fs.readFileSync(path.resolve(file), 'utf8') : '';
     const compiled = compilePrompt(
@@ -177,20 +312,42 @@ async function main() {
       { markdown, channel_constraints: JSON.stringify(channels) },
       {}
     );
-    const promptText = extractPromptText(compiled);
-    const out = await provider.generateText(promptText);
-    outputResult(out, args.output);
+    const messages = buildMessages(compiled);
+    if (
+      args.enforce_channels ||
+      args.thread ||
+      args.thread_output ||
+      args.email_output
+    ) {
+      await repurposePack(provider, messages, channels, args, t);
+    } else {
+      const out = await generateOutput(provider, messages, args, t);
+      reportViolations(validateChannels(out, channels));
+    }
   } else {
     console.log(`Unknown command: ${cmd}
 Usage:
   node src/cli.js scaffold --asset_type ... --topic ... --audience ... --tone ... --word_count 600 [--output file.txt]
   node src/cli.js expand --section_json '<json>' [--output file.txt]
   node src/cli.js rewrite --text '...' --audience '...' --tone '...' --grade_level 8 [--output file.txt]
-  node src/cli.js summarize --file path/to/transcript.txt --mode executive [--output file.txt]
-  node src/cli.js repurpose --file path/to/article.md [--output file.txt]
+  node src/cli.js summarize --file path/to/transcript.txt|.vtt|.srt --mode executive [--meeting_date YYYY-MM-DD] [--ics actions.ics] [--csv actions.csv] [--output file.txt]
+  node src/cli.js repurpose --file path/to/article.md [--channels x,mastodon] [--enforce_channels] [--thread] [--thread_output thread.txt|thread.json] [--email_output email.eml|.html|.mjml|.txt|.json] [--output file.txt]
 
 Options:
-  --output <file>    Write output to file instead of console`);
+  --output <file>    Write output to file instead of console
+  --stream           Print the response incrementally as it is generated
+  --meeting_date     Date that relative action item due dates are resolved against (default: today)
+  --ics <file>       Export summary action items as iCalendar to-dos
+  --csv <file>       Export summary action items as CSV
+  --channels <list>  Channels to repurpose for (default: those in configs/channels.json)
+  --enforce_channels Re-prompt repurpose variants that break their channel limits
+  --thread           Write x variants as numbered threads
+  --thread_output    Export the x threads as plain text, or JSON for a .json file
+  --thread_format    Thread export format when the extension does not say: text or json
+  --email_output     Render the email variants as an .eml message, HTML, MJML, plain text or JSON
+  --email_format     Email export format when the extension does not say: eml, html, mjml, text or json
+  --email_from       From address for .eml exports
+  --email_to         To address for .eml exports`);
   }
 }
 
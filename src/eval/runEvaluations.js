@@ -4,12 +4,18 @@ import path from 'path';
 import process from 'process';
 import { fileURLToPath } from 'url';
 import { lintStyle } from '../lint/styleLinter.js';
+import { verifyCitations } from '../lint/citationVerifier.js';
+import { extractJson } from '../utils/structuredOutput.js';
+import { normalizeTranscript } from '../utils/transcript.js';
+import { channelRegistry } from '../channels/registry.js';
 import {
+  buildMessages,
   compilePrompt,
   loadTemplate,
   loadStylePack,
 } from '../utils/prompting.js';
 import { getProvider } from '../providers/provider.js';
+import ProviderFactory from '../providers/providerFactory.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,7 +27,9 @@ function parseArgs() {
     directory: null,
     operation: 'scaffold', // scaffold, expand, rewrite, summarize, repurpose
     help: false,
-    extensions: ['.json', '.txt', '.md'],
+    extensions: ['.json', '.txt', '.md', '.vtt', '.srt'],
+    replay: null, // true (mode from REPLAY_MODE), record, replay, auto
+    cassettes: null,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -35,6 +43,14 @@ function parseArgs() {
       if (i + 1 < args.length) {
         options.operation = args[++i];
       }
+    } else if (args[i] === '--replay' || args[i] === '-r') {
+      // Mode is optional; without one REPLAY_MODE applies (default replay)
+      options.replay =
+        i + 1 < args.length && !args[i + 1].startsWith('-') ? args[++i] : true;
+    } else if (args[i] === '--cassettes') {
+      if (i + 1 < args.length) {
+        options.cassettes = args[++i];
+      }
     } else if (args[i] === '--extensions' || args[i] === '-e') {
       // Next arguments until we hit another flag are extensions
       options.extensions = [];
@@ -69,8 +85,10 @@ function showHelp() {
 Options:
   -d, --directory <path>           Directory to look for files (default: golden_set/briefs for scaffold, current dir for others)
   -o, --operation <op>             Operation type: scaffold, expand, rewrite, summarize, repurpose (default: scaffold)
-  -e, --extensions <ext1> <ext2>   File extensions to process (default: .json .txt .md)
+  -e, --extensions <ext1> <ext2>   File extensions to process (default: .json .txt .md .vtt .srt)
   -f, --files <file1> <file2>      Specific files to evaluate
+  -r, --replay [mode]              Use recorded responses: replay, record, or auto (default: REPLAY_MODE, else replay)
+      --cassettes <path>           Cassette directory for --replay (default: golden_set/cassettes)
   -h, --help                       Show this help message
 
 Examples:
@@ -86,11 +104,15 @@ Examples:
   # Evaluate markdown files for repurposing
   node src/eval/runEvaluations.js -d ./articles -o repurpose -e .md
 
+  # Record responses from the configured provider, then replay them offline
+  REPLAY_TARGET=openai node src/eval/runEvaluations.js --replay record
+  node src/eval/runEvaluations.js --replay
+
 Operations:
   scaffold  - Generate content scaffolds from brief JSON files
   expand    - Expand section content from JSON or text files
   rewrite   - Rewrite content from text/markdown files
-  summarize - Summarize content from text files
+  summarize - Summarize transcripts from text, WebVTT or SRT files
   repurpose - Repurpose content for multiple channels`);
 }
 
@@ -147,13 +169,16 @@ async function processFile(filePath, operation, style, provider, template) {
   } else if (operation === 'summarize') {
     templateParams = {
       mode: 'executive',
-      transcript_text: fileContent,
+      transcript_text: normalizeTranscript(fileContent, { fileName: filePath }),
     };
   } else if (operation === 'repurpose') {
-    const channels = JSON.parse(
-      fs.readFileSync(
-        path.resolve(__dirname, '../../configs/channels.json'),
-        'utf8'
+    const channels = channelRegistry.presets(
+      undefined,
+      JSON.parse(
+        fs.readFileSync(
+          path.resolve(__dirname, '../../configs/channels.json'),
+          'utf8'
+        )
       )
     );
     templateParams = {
@@ -165,22 +190,13 @@ async function processFile(filePath, operation, style, provider, template) {
   const compiled = compilePrompt(template, templateParams, style);
 
   const start = Date.now();
-  const out = await provider.generateText(extractPromptText(compiled));
+  const out = await provider.generateText(buildMessages(compiled), {
+    template: { id: template.id, version: template.version },
+    input: templateParams,
+  });
   const latencyMs = Date.now() - start;
 
-  return { out, latencyMs };
-}
-
-function extractPromptText(compiled) {
-  if (typeof compiled === 'string') {
-    return compiled;
-  }
-  return (
-    compiled.prompt ||
-    compiled.text ||
-    compiled.content ||
-    JSON.stringify(compiled)
-  );
+  return { out, latencyMs, source: fileContent };
 }
 
 function extractTextForAnalysis(output, operation) {
@@ -251,15 +267,20 @@ async function run() {
   }
 
   const style = await loadStylePack();
-  const provider = await getProvider();
+  const provider = options.replay
+    ? ProviderFactory.createProvider('replay', null, {
+        mode: options.replay === true ? undefined : options.replay,
+        cassetteDir: options.cassettes,
+      })
+    : await getProvider();
 
   // Determine template based on operation
   const templateMap = {
-    scaffold: 'draft_scaffold@1.0.0',
-    expand: 'section_expand@1.0.0',
-    rewrite: 'rewrite_localize@1.0.0',
-    summarize: 'summarize_grounded@1.0.0',
-    repurpose: 'repurpose_pack@1.0.0',
+    scaffold: 'draft_scaffold',
+    expand: 'section_expand',
+    rewrite: 'rewrite_localize',
+    summarize: 'summarize_grounded',
+    repurpose: 'repurpose_pack',
   };
 
   const templateId = templateMap[options.operation];
@@ -339,7 +360,7 @@ async function run() {
   const results = [];
   for (const filePath of filesToProcess) {
     try {
-      const { out, latencyMs } = await processFile(
+      const { out, latencyMs, source } = await processFile(
         filePath,
         options.operation,
         style,
@@ -358,6 +379,9 @@ async function run() {
         style: lint,
         outputLength: out.length,
         textLength: textToAnalyze.length,
+        ...(options.operation === 'summarize' && {
+          citations: citationMetrics(out, source),
+        }),
       });
     } catch (error) {
       console.error(`Error processing ${filePath}: ${error.message}`);
@@ -366,6 +390,7 @@ async function run() {
         path: filePath,
         operation: options.operation,
         error: error.message,
+        code: error.code,
       });
     }
   }
@@ -389,12 +414,24 @@ async function run() {
         successful: successfulResults.length,
         failed: results.length - successfulResults.length,
         latency: { p50, p95 },
+        ...(options.operation === 'summarize' && {
+          citations: summarizeCitations(successfulResults),
+        }),
         samples: results,
       },
       null,
       2
     )
   );
+
+  // Replay runs must not silently pass with missing recordings
+  const misses = results.filter((r) => r.code === 'CASSETTE_MISS');
+  if (misses.length > 0) {
+    console.error(
+      `${misses.length} cassette miss(es); re-record with --replay record`
+    );
+    process.exitCode = 1;
+  }
 }
 
 function percentile(arr, p) {
@@ -409,18 +446,43 @@ run().catch((err) => {
   process.exit(1);
 });
 
-function countItemsMissingCitations(output) {
-  try {
-    const data = JSON.parse(output);
-    const items = Array.isArray(data.items) ? data.items : [];
-    let missing = 0;
-    for (const it of items) {
-      const refs = it.source_refs || it.sources || [];
-      if (!Array.isArray(refs) || refs.length === 0) missing++;
-    }
-    return missing;
-  } catch {
-    // Non-JSON outputs treated as missing citations
-    return -1;
+// Citation checks for a grounded summary against its transcript. Non-JSON
+// output counts as having no verifiable citations.
+function citationMetrics(output, transcript) {
+  const parsed = extractJson(output);
+  if (!parsed.ok) {
+    return { valid: false, citations: 0, verified: 0, parseError: true };
   }
+
+  const { items, ...report } = verifyCitations(parsed.value, transcript);
+  return report;
+}
+
+// Totals across samples: share of citations that resolve, and mean support
+function summarizeCitations(samples) {
+  const reports = samples.map((sample) => sample.citations).filter(Boolean);
+  const total = reports.reduce((sum, report) => sum + report.citations, 0);
+  const verified = reports.reduce((sum, report) => sum + report.verified, 0);
+  const mean = (field) => {
+    const values = reports
+      .map((report) => report[field])
+      .filter((value) => typeof value === 'number');
+    return values.length > 0
+      ? Math.round(
+          (values.reduce((sum, value) => sum + value, 0) / values.length) * 100
+        ) / 100
+      : null;
+  };
+
+  return {
+    total,
+    verified,
+    verifiedRate: total > 0 ? Math.round((verified / total) * 100) / 100 : null,
+    averageOverlap: mean('averageOverlap'),
+    supportedRate: mean('supportedRate'),
+    issues: reports.reduce(
+      (sum, report) => sum + (report.issues?.length || 0),
+      0
+    ),
+  };
 }
@@ -0,0 +1,415 @@
+// Channel validator for repurpose_pack output. Checks every variant against
+// the channel presets in configs/channels.json (max_chars, hashtags_max,
+// links_max, linebreaks, subject_max, preheader_max, body_max_words,
+// cta_required), and can re-prompt the model to rewrite only the variants
+// that break them.
+import { extractJson } from '../utils/structuredOutput.js';
+import { channelRegistry } from '../channels/registry.js';
+
+// X counts every link as 23 characters (t.co), whatever its length
+export const URL_LENGTH = 23;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()"']+[^\s<>()"'.,;:!?]/gi;
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&])(#[\p{L}\p{N}_]+)/gu;
+
+const TEXT_FIELDS = [
+  'content',
+  'text',
+  'body',
+  'post',
+  'copy',
+  'tweet',
+  'excerpt',
+  'description',
+];
+const SUBJECT_FIELDS = ['subject', 'subject_line'];
+const PREHEADER_FIELDS = ['preheader', 'preview', 'preview_text'];
+const CTA_FIELDS = ['cta', 'call_to_action'];
+
+function firstField(variant, fields) {
+  if (typeof variant === 'string') return null;
+  const field = fields.find((name) => typeof variant?.[name] === 'string');
+  return field ? variant[field] : null;
+}
+
+// Channels may appear in the output under an alias ("twitter" for x)
+function channelKey(output, channel) {
+  const names = channelRegistry.keysFor(channel);
+  return Object.keys(output).find((key) => names.includes(key.toLowerCase()));
+}
+
+// A channel's variants: an array, { variants: [] }, or a single variant.
+// set(index, variant) replaces a variant in the output.
+function channelVariants(output, key) {
+  const value = output[key];
+  if (Array.isArray(value)) {
+    return {
+      variants: value,
+      set: (index, variant) => (value[index] = variant),
+    };
+  }
+  if (Array.isArray(value?.variants)) {
+    return {
+      variants: value.variants,
+      set: (index, variant) => (value.variants[index] = variant),
+    };
+  }
+  return {
+    variants: [value],
+    set: (index, variant) => (output[key] = variant),
+  };
+}
+
+// A channel's { key, variants, set } in an output, or null when missing
+export function findChannel(output, channel) {
+  const key =
+    output && typeof output === 'object' && channelKey(output, channel);
+  return key ? { key, ...channelVariants(output, key) } : null;
+}
+
+function urlsIn(text) {
+  return text.match(URL_PATTERN) || [];
+}
+
+// Characters as X counts them: code points, with each link as URL_LENGTH
+export function weightedLength(text) {
+  const urls = urlsIn(text);
+  const rest = urls.reduce((value, url) => value.replace(url, ''), text);
+  return Array.from(rest).length + urls.length * URL_LENGTH;
+}
+
+function countWords(text) {
+  return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+}
+
+// A variant's main text (a string variant is its own text)
+export function variantText(variant) {
+  return typeof variant === 'string'
+    ? variant
+    : firstField(variant, TEXT_FIELDS) || '';
+}
+
+// The post as published: its text, plus any hashtags listed separately.
+// A thread is its posts.
+function postText(variant) {
+  if (Array.isArray(variant?.posts)) return variant.posts.join('\n\n');
+  const text = variantText(variant);
+  const listed = Array.isArray(variant?.hashtags) ? variant.hashtags : [];
+  const appended = listed
+    .map((tag) => (String(tag).startsWith('#') ? String(tag) : `#${tag}`))
+    .filter((tag) => !(text || '').includes(tag));
+  return [text || '', ...appended].filter(Boolean).join(' ');
+}
+
+function measurePost(post) {
+  return {
+    chars: weightedLength(post),
+    links: new Set(urlsIn(post)).size,
+    linebreaks: (post.match(/\r?\n/g) || []).length,
+  };
+}
+
+/**
+ * Measure a variant: { chars, hashtags, links, linebreaks, words, subject,
+ * preheader, cta, posts }. Email fields are null when the variant has
+ * none. A thread (a variant with "posts") also has posts: [{ chars,
+ * links, linebreaks }], and its hashtags are counted across the thread.
+ */
+export function measureVariant(variant) {
+  const posts = Array.isArray(variant?.posts)
+    ? variant.posts.map((post) => measurePost(String(post)))
+    : null;
+  const text = postText(variant);
+  const links = new Set(urlsIn(text));
+  for (const field of ['link', 'url']) {
+    if (typeof variant?.[field] === 'string') links.add(variant[field]);
+  }
+  const hashtags = new Set(
+    Array.from(text.matchAll(HASHTAG_PATTERN), (match) =>
+      match[1].toLowerCase()
+    )
+  );
+  const subject = firstField(variant, SUBJECT_FIELDS);
+  const preheader = firstField(variant, PREHEADER_FIELDS);
+  const cta = firstField(variant, CTA_FIELDS);
+
+  return {
+    chars: weightedLength(text),
+    hashtags: hashtags.size,
+    links: links.size,
+    linebreaks: posts
+      ? posts.reduce((sum, post) => sum + post.linebreaks, 0)
+      : (text.match(/\r?\n/g) || []).length,
+    words: countWords(text),
+    subject: subject === null ? null : Array.from(subject).length,
+    preheader: preheader === null ? null : Array.from(preheader).length,
+    cta: Boolean(cta?.trim()) || links.size > 0,
+    posts,
+  };
+}
+
+// Constraint -> [metric, description]; each is a maximum
+const LIMITS = {
+  max_chars: ['chars', 'characters'],
+  hashtags_max: ['hashtags', 'hashtags'],
+  links_max: ['links', 'links'],
+  subject_max: ['subject', 'subject characters'],
+  preheader_max: ['preheader', 'preheader characters'],
+  body_max_words: ['words', 'words'],
+};
+
+// Limits that apply to each post of a thread rather than the whole thread
+const POST_LIMITS = ['max_chars', 'links_max'];
+
+function checkPosts(posts, constraints) {
+  const violations = [];
+
+  posts.forEach((post, index) => {
+    for (const rule of POST_LIMITS) {
+      const limit = constraints[rule];
+      const [metric, description] = LIMITS[rule];
+      if (typeof limit === 'number' && post[metric] > limit) {
+        violations.push({
+          rule,
+          post: index,
+          limit,
+          actual: post[metric],
+          message: `post ${index + 1} has ${
+            post[metric]
+          } ${description} (max ${limit})`,
+        });
+      }
+    }
+    if (constraints.linebreaks === false && post.linebreaks > 0) {
+      violations.push({
+        rule: 'linebreaks',
+        post: index,
+        limit: false,
+        actual: post.linebreaks,
+        message: `post ${index + 1} has ${
+          post.linebreaks
+        } line break(s), which the channel does not allow`,
+      });
+    }
+  });
+
+  return violations;
+}
+
+function checkVariant(metrics, constraints) {
+  const violations = metrics.posts
+    ? checkPosts(metrics.posts, constraints)
+    : [];
+
+  for (const [rule, [metric, description]] of Object.entries(LIMITS)) {
+    const limit = constraints[rule];
+    if (typeof limit !== 'number') continue;
+    if (metrics.posts && POST_LIMITS.includes(rule)) continue;
+    const actual = metrics[metric];
+    if (
+      actual === null &&
+      (rule === 'subject_max' || rule === 'preheader_max')
+    ) {
+      violations.push({
+        rule,
+        limit,
+        actual,
+        message: `has no ${metric}`,
+      });
+    } else if (actual > limit) {
+      violations.push({
+        rule,
+        limit,
+        actual,
+        message: `has ${actual} ${description} (max ${limit})`,
+      });
+    }
+  }
+  if (
+    constraints.linebreaks === false &&
+    metrics.linebreaks > 0 &&
+    !metrics.posts
+  ) {
+    violations.push({
+      rule: 'linebreaks',
+      limit: false,
+      actual: metrics.linebreaks,
+      message: `has ${metrics.linebreaks} line break(s), which the channel does not allow`,
+    });
+  }
+  if (constraints.cta_required && !metrics.cta) {
+    violations.push({
+      rule: 'cta_required',
+      limit: true,
+      actual: false,
+      message: 'has no call to action (a "cta" field or a link)',
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Check a single variant against one channel's limits. Returns { valid,
+ * metrics, violations: [{ rule, limit, actual, message }] }.
+ */
+export function validateVariant(variant, constraints = {}) {
+  const metrics = measureVariant(variant);
+  const violations = checkVariant(metrics, constraints);
+  return { valid: violations.length === 0, metrics, violations };
+}
+
+// Channel presets given as an object or a JSON string
+export function parseChannelPresets(constraints) {
+  if (typeof constraints !== 'string') return constraints || {};
+  const parsed = extractJson(constraints);
+  return parsed.ok ? parsed.value : {};
+}
+
+/**
+ * Validate repurpose output (parsed JSON or the raw model text) against
+ * channel presets. Returns { valid, channels: { [channel]: { key,
+ * variants: [{ index, metrics, violations }] } }, violations: [{ channel,
+ * variant, rule, limit, actual, message }] }, where variant is the
+ * variant's index, or null for a channel missing from the output.
+ */
+export function validateChannels(output, constraints) {
+  const presets = parseChannelPresets(constraints);
+  if (typeof output === 'string') {
+    const parsed = extractJson(output);
+    output = parsed.ok ? parsed.value : null;
+  }
+
+  const channels = {};
+  const violations = [];
+
+  for (const [channel, limits] of Object.entries(presets)) {
+    const key =
+      output && typeof output === 'object' && channelKey(output, channel);
+    if (!key) {
+      violations.push({
+        channel,
+        variant: null,
+        rule: 'missing',
+        message: `${channel} has no variants in the output`,
+      });
+      continue;
+    }
+
+    const variants = channelVariants(output, key).variants.map(
+      (variant, index) => {
+        const metrics = measureVariant(variant);
+        const found = checkVariant(metrics, limits || {});
+        for (const violation of found) {
+          violations.push({
+            channel,
+            variant: index,
+            ...violation,
+            message: `${channel}[${index}] ${violation.message}`,
+          });
+        }
+        return { index, metrics, violations: found };
+      }
+    );
+    channels[channel] = { key, variants };
+  }
+
+  return { valid: violations.length === 0, channels, violations };
+}
+
+/**
+ * Follow-up turns asking the model to rewrite only the failing variants:
+ * the current output as the assistant's answer, then the variants with
+ * their violations and the channel's limits.
+ */
+export function buildChannelRepairMessages(output, report, constraints) {
+  const presets = parseChannelPresets(constraints);
+  const failing = failingVariants(output, report).map(
+    ({ channel, index, variant }) => ({
+      channel,
+      index,
+      variant,
+      limits: presets[channel],
+      violations: report.violations
+        .filter((v) => v.channel === channel && v.variant === index)
+        .map((v) => v.message),
+    })
+  );
+
+  return [
+    { role: 'assistant', content: JSON.stringify(output, null, 2) },
+    {
+      role: 'user',
+      content: `These variants break their channel limits:\n${JSON.stringify(
+        failing,
+        null,
+        2
+      )}\n\nRewrite only these variants so they comply, keeping their message and format. Reply with JSON only: {"variants": [{"channel": "...", "index": 0, "variant": ...}]}, with each variant in the same shape as before.`,
+    },
+  ];
+}
+
+function failingVariants(output, report) {
+  return Object.entries(report.channels).flatMap(
+    ([channel, { key, variants }]) =>
+      variants
+        .filter((variant) => variant.violations.length > 0)
+        .map(({ index }) => ({
+          channel,
+          index,
+          variant: channelVariants(output, key).variants[index],
+        }))
+  );
+}
+
+// Put rewritten variants back in place; only variants that were failing
+// are replaced. Returns the number replaced.
+function applyRepairs(output, report, reply) {
+  const parsed = extractJson(reply);
+  const repairs = parsed.ok
+    ? Array.isArray(parsed.value)
+      ? parsed.value
+      : parsed.value?.variants
+    : null;
+  if (!Array.isArray(repairs)) return 0;
+
+  let replaced = 0;
+  for (const repair of repairs) {
+    const entry = report.channels[repair?.channel];
+    const failing = entry?.variants[repair.index]?.violations.length > 0;
+    if (!failing || repair.variant === undefined) continue;
+    channelVariants(output, entry.key).set(repair.index, repair.variant);
+    replaced++;
+  }
+  return replaced;
+}
+
+/**
+ * Re-prompt until every variant complies or the attempts run out.
+ * regenerate(turns) sends the repair turns after the original prompt and
+ * resolves to the model's reply text. The output is repaired in place;
+ * options.prepare(output), if given, runs on it after each repair (e.g. to
+ * split threads). Returns { output, report, attempts }.
+ */
+export async function enforceChannels(
+  output,
+  constraints,
+  regenerate,
+  options = {}
+) {
+  const { maxAttempts = 2 } = options;
+  let report = validateChannels(output, constraints);
+  let attempts = 0;
+
+  while (failingVariants(output, report).length > 0 && attempts < maxAttempts) {
+    attempts++;
+    const reply = await regenerate(
+      buildChannelRepairMessages(output, report, constraints)
+    );
+    if (applyRepairs(output, report, reply) === 0) break;
+    options.prepare?.(output);
+    report = validateChannels(output, constraints);
+  }
+
+  return { output, report, attempts };
+}
@@ -0,0 +1,193 @@
+// Citation verifier for grounded summaries (summarize_grounded output).
+// Resolves each item's source_refs against a timestamped transcript, flags
+// citations that do not exist or fall outside the transcript, and scores
+// how much of each item's wording appears in the lines it cites.
+import {
+  formatTimestamp,
+  parseTimeRange,
+  parseTranscript,
+} from '../utils/transcript.js';
+
+const STOPWORDS = new Set(
+  (
+    'the and for are but not you all any can had her was one our out has ' +
+    'him his how its may new now see two who did get let she too use way ' +
+    'will with that this from they have been were what when where which ' +
+    'their there them then than into also just some more most such only ' +
+    'over very should would could about after before while during'
+  ).split(' ')
+);
+
+// Lowercase content words, with a naive plural strip
+function contentWords(text) {
+  return new Set(
+    (
+      String(text)
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || []
+    )
+      .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+      .map((word) => (word.length > 3 ? word.replace(/s$/, '') : word))
+  );
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+  return values.length > 0
+    ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+}
+
+function overlapScore(text, sourceText) {
+  const words = contentWords(text);
+  if (words.size === 0) return 0;
+
+  const source = contentWords(sourceText);
+  let shared = 0;
+  for (const word of words) if (source.has(word)) shared++;
+  return round(shared / words.size);
+}
+
+function resolveRef(ref, lines, tolerance) {
+  const range = parseTimeRange(ref);
+  if (!range || range.end < range.start) {
+    return { ref, status: 'invalid', lines: [] };
+  }
+
+  const result = {
+    ref,
+    start: formatTimestamp(range.start),
+    end: formatTimestamp(range.end),
+    lines: [],
+  };
+  const first = lines[0]?.start;
+  const last = lines.at(-1)?.start;
+  if (
+    lines.length === 0 ||
+    range.start > last + tolerance ||
+    range.end < first - tolerance
+  ) {
+    return { ...result, status: 'out_of_range' };
+  }
+
+  // Lines starting inside the range, or the line the range starts in
+  let cited = lines.filter(
+    (line) =>
+      line.start >= range.start - tolerance &&
+      line.start <= range.end + tolerance
+  );
+  if (cited.length === 0) {
+    cited = lines.filter(
+      (line) => line.start <= range.start && range.start < line.end
+    );
+  }
+
+  // Both ends of a range should be times that occur in the transcript:
+  // the start or end of a line (for captions, the cue timings)
+  const exists = (seconds) =>
+    lines.some(
+      (line) =>
+        Math.abs(line.start - seconds) <= tolerance ||
+        Math.abs(line.end - seconds) <= tolerance
+    );
+
+  return {
+    ...result,
+    status:
+      exists(range.start) && exists(range.end) ? 'verified' : 'hallucinated',
+    lines: cited,
+  };
+}
+
+const ISSUE_MESSAGES = {
+  invalid: 'is not a timestamp range',
+  out_of_range: 'is outside the transcript',
+  hallucinated: 'does not match any transcript timestamp',
+};
+
+/**
+ * Verify a summary's citations against its transcript.
+ * options: { minOverlap: 0.3, tolerance: 1 (seconds) }
+ * Returns { valid, citations, verified, averageOverlap, supportedRate,
+ * items: [{ path, text, refs, overlap, supported }], issues: [{ path,
+ * type, ref?, message }] }
+ */
+export function verifyCitations(summary, transcript, options = {}) {
+  const { minOverlap = 0.3, tolerance = 1 } = options;
+  const lines =
+    typeof transcript === 'string' ? parseTranscript(transcript) : transcript;
+
+  const items = [];
+  const issues = [];
+
+  for (const kind of ['items', 'actions']) {
+    (summary?.[kind] || []).forEach((item, index) => {
+      const path = `${kind}[${index}]`;
+      const refs = (item.source_refs || []).map((ref) =>
+        resolveRef(ref, lines, tolerance)
+      );
+
+      if (refs.length === 0) {
+        issues.push({
+          path,
+          type: 'missing_citation',
+          message: `${path} has no source_refs`,
+        });
+      }
+      for (const ref of refs) {
+        if (ref.status === 'verified') continue;
+        issues.push({
+          path,
+          type: ref.status,
+          ref: ref.ref,
+          message: `${path} cites ${ref.ref}, which ${
+            ISSUE_MESSAGES[ref.status]
+          }`,
+        });
+      }
+
+      const citedText = refs
+        .flatMap((ref) => ref.lines)
+        .map((line) => line.text)
+        .join(' ');
+      const overlap = overlapScore(item.text, citedText);
+      const supported = refs.length > 0 && overlap >= minOverlap;
+      if (refs.length > 0 && !supported) {
+        issues.push({
+          path,
+          type: 'unsupported',
+          message: `${path} shares ${Math.round(
+            overlap * 100
+          )}% of its words with the cited lines`,
+        });
+      }
+
+      items.push({
+        path,
+        text: item.text,
+        refs: refs.map((ref) => ({
+          ...ref,
+          lines: ref.lines.map((line) => line.timestamp),
+        })),
+        overlap,
+        supported,
+      });
+    });
+  }
+
+  const refs = items.flatMap((item) => item.refs);
+  const cited = items.filter((item) => item.refs.length > 0);
+
+  return {
+    valid: issues.length === 0,
+    citations: refs.length,
+    verified: refs.filter((ref) => ref.status === 'verified').length,
+    averageOverlap: average(cited.map((item) => item.overlap)),
+    supportedRate: average(cited.map((item) => (item.supported ? 1 : 0))),
+    items,
+    issues,
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * Article Pipeline
+ *
+ * Brief → finished article in one run: scaffold the brief (draft_scaffold),
+ * expand every section in parallel (section_expand), assemble a Markdown
+ * article with headings, lint it against the style pack, and optionally
+ * repurpose it (repurpose_pack). Each step's artifact is written to the
+ * run directory as soon as it is ready, so a failed run keeps what it got:
+ *
+ *   brief.json        the brief as given
+ *   scaffold.json     title and sections
+ *   sections/NN-*.md  one file per expanded section
+ *   article.md        the assembled article
+ *   style.json        the style lint report
+ *   repurpose.json    the channel pack (with repurposing only)
+ *   pipeline.json     the run manifest: status, steps, usage and files
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { lintStyle } from '../lint/styleLinter.js';
+import { channelRegistry } from '../channels/registry.js';
+import { combineUsage } from '../utils/usage.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import { extractJson } from '../utils/structuredOutput.js';
+import { SPOTError, ValidationError } from '../utils/errorHandling.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PIPELINE_DIR = path.join(
+  __dirname,
+  '../../data/pipelines'
+);
+
+const BRIEF_FIELDS = ['asset_type', 'topic', 'audience', 'tone', 'word_count'];
+
+function slugify(text) {
+  return (
+    String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 48) || 'article'
+  );
+}
+
+/**
+ * The brief fields draft_scaffold takes. Briefs in golden_set/briefs also
+ * carry "metadata", which is kept in brief.json but not sent.
+ */
+export function briefInput(brief) {
+  if (!brief || typeof brief !== 'object' || Array.isArray(brief)) {
+    throw new ValidationError(
+      'The brief must be a JSON object',
+      'brief',
+      brief
+    );
+  }
+  return Object.fromEntries(
+    BRIEF_FIELDS.filter((field) => brief[field] !== undefined).map((field) => [
+      field,
+      brief[field],
+    ])
+  );
+}
+
+// Expanded text without a leading heading that repeats the section's own
+function sectionBody(text, heading) {
+  const match = text.trim().match(/^#{1,6}\s+(.+)\n+/);
+  if (
+    match &&
+    match[1].trim().toLowerCase() === String(heading).trim().toLowerCase()
+  ) {
+    return text.trim().slice(match[0].length).trim();
+  }
+  return text.trim();
+}
+
+/**
+ * The article as Markdown: the title as "#", each section as "##"
+ */
+export function assembleArticle(title, sections) {
+  return (
+    [
+      `# ${title}`,
+      ...sections.map(({ heading, content }) => `## ${heading}\n\n${content}`),
+    ].join('\n\n') + '\n'
+  );
+}
+
+export class ArticlePipeline {
+  /**
+   * options: { outputDir (where run directories go; default
+   * data/pipelines), concurrency (parallel section expansions; default 4) }
+   */
+  constructor(spot, options = {}) {
+    this.spot = spot;
+    this.outputDir = path.resolve(options.outputDir || DEFAULT_PIPELINE_DIR);
+    this.concurrency = options.concurrency ?? 4;
+  }
+
+  /**
+   * Run the pipeline for a brief. options: { provider, repurpose, channels,
+   * thread, enforceChannels, runDir (overrides the generated run
+   * directory), onStep(step, info) (progress callback) }. Returns { id,
+   * dir, title, article, scaffold, sections, style, repurposed, manifest }.
+   */
+  async run(brief, options = {}) {
+    // An invalid brief or unknown channel fails before anything is written
+    const input = await this.spot.validateInput(
+      briefInput(brief),
+      await this.spot.templateManager.getTemplate('draft_scaffold')
+    );
+    const channelPresets = options.repurpose
+      ? channelRegistry.presets(
+          options.channels,
+          await this.loadChannelOverrides(),
+          { thread: Boolean(options.thread) }
+        )
+      : null;
+    const startedAt = new Date();
+    const id = `${startedAt
+      .toISOString()
+      .replace(/[:.]/g, '-')
+      .slice(0, 23)}-${slugify(input.topic)}`;
+    const dir = path.resolve(options.runDir || path.join(this.outputDir, id));
+    const manifest = {
+      id,
+      dir,
+      status: 'running',
+      brief: input,
+      options: {
+        provider: options.provider || null,
+        repurpose: Boolean(options.repurpose),
+        channels: options.channels || null,
+        thread: Boolean(options.thread),
+        enforceChannels: Boolean(options.enforceChannels),
+      },
+      startedAt: startedAt.toISOString(),
+      steps: [],
+      files: { manifest: 'pipeline.json' },
+    };
+    const generations = [];
+
+    await fs.mkdir(path.join(dir, 'sections'), { recursive: true });
+    const save = async (key, file, content) => {
+      await fs.writeFile(
+        path.join(dir, file),
+        typeof content === 'string'
+          ? content
+          : JSON.stringify(content, null, 2) + '\n',
+        'utf8'
+      );
+      if (key) manifest.files[key] = file;
+      return file;
+    };
+    const step = async (name, fn) => {
+      const started = Date.now();
+      options.onStep?.(name, { status: 'started' });
+      const entry = { step: name, status: 'running' };
+      manifest.steps.push(entry);
+      try {
+        const value = await fn(entry);
+        Object.assign(entry, {
+          status: 'completed',
+          duration: Date.now() - started,
+        });
+        options.onStep?.(name, { ...entry });
+        return value;
+      } catch (error) {
+        Object.assign(entry, {
+          status: 'failed',
+          duration: Date.now() - started,
+          error: error.message,
+        });
+        throw error;
+      }
+    };
+    const generate = async (template, content, extra = {}) => {
+      const response = await this.spot.generate({
+        template,
+        content,
+        provider: options.provider,
+        ...extra,
+      });
+      generations.push(response.metadata);
+      return response.result;
+    };
+
+    try {
+      await save('brief', 'brief.json', brief);
+
+      const scaffold = await step('scaffold', async (entry) => {
+        const result = await generate('draft_scaffold', input);
+        const parsed = result.parsed ?? extractJson(result.content).value;
+        if (!Array.isArray(parsed?.sections) || parsed.sections.length === 0) {
+          throw new SPOTError(
+            'The scaffold has no sections',
+            'PIPELINE_SCAFFOLD_ERROR',
+            { content: result.content }
+          );
+        }
+        entry.file = await save('scaffold', 'scaffold.json', parsed);
+        return parsed;
+      });
+
+      const stylePack = await this.spot.loadStylePack();
+      const sections = await step('expand', async (entry) => {
+        const expanded = await mapConcurrent(
+          scaffold.sections,
+          this.concurrency,
+          async (section, index) => {
+            const result = await generate('section_expand', {
+              section_json: JSON.stringify(section),
+              style_pack_rules: stylePack,
+              must_use: stylePack.must_use || [],
+              must_avoid: stylePack.must_avoid || [],
+            });
+            const content = sectionBody(result.content, section.heading);
+            const file = await save(
+              null,
+              `sections/${String(index + 1).padStart(2, '0')}-${slugify(
+                section.heading
+              )}.md`,
+              `## ${section.heading}\n\n${content}\n`
+            );
+            options.onStep?.('expand', {
+              status: 'section',
+              section: index + 1,
+              sections: scaffold.sections.length,
+              heading: section.heading,
+            });
+            return { heading: section.heading, content, file };
+          }
+        );
+        entry.files = manifest.files.sections = expanded.map((s) => s.file);
+        return expanded;
+      });
+
+      const title = scaffold.title || input.topic;
+      const article = await step('assemble', async (entry) => {
+        const markdown = assembleArticle(title, sections);
+        entry.file = await save('article', 'article.md', markdown);
+        return markdown;
+      });
+
+      const style = await step('lint', async (entry) => {
+        const report = lintStyle(article, stylePack);
+        entry.file = await save('style', 'style.json', report);
+        return report;
+      });
+
+      let repurposed = null;
+      if (options.repurpose) {
+        repurposed = await step('repurpose', async (entry) => {
+          const result = await generate(
+            'repurpose_pack',
+            {
+              markdown: article,
+              channel_constraints: channelPresets,
+            },
+            { enforceChannels: Boolean(options.enforceChannels) }
+          );
+          const output = {
+            output: result.parsed ?? extractJson(result.content).value ?? null,
+            content: result.content,
+            channels: result.metadata.channels || null,
+          };
+          entry.file = await save('repurpose', 'repurpose.json', output);
+          return output;
+        });
+      }
+
+      manifest.status = 'completed';
+      return {
+        id,
+        dir,
+        title,
+        article,
+        scaffold,
+        sections,
+        style,
+        repurposed,
+        manifest,
+      };
+    } catch (error) {
+      manifest.status = 'failed';
+      manifest.error = error.message;
+      throw error;
+    } finally {
+      manifest.finishedAt = new Date().toISOString();
+      manifest.usage = combineUsage(...generations.map((m) => m.usage));
+      manifest.cost = generations.some((m) => typeof m.cost === 'number')
+        ? generations.reduce((sum, m) => sum + (m.cost || 0), 0)
+        : null;
+      manifest.generations = generations.length;
+      await save(null, 'pipeline.json', manifest);
+    }
+  }
+
+  // Channel limits from configs/channels.json, when the config manager is
+  // available
+  async loadChannelOverrides() {
+    if (typeof this.spot.config?.loadConfig === 'function') {
+      return this.spot.config.loadConfig('channels');
+    }
+    return {};
+  }
+}
@@ -0,0 +1,730 @@
+/**
+ * Workflows
+ *
+ * Multi-step content jobs defined in JSON or YAML files (workflows/*.json,
+ * *.yaml, *.yml). A workflow declares its inputs and a list of steps, and
+ * each step runs a template through SPOT.generate:
+ *
+ *   name: summarize-localize
+ *   inputs:
+ *     transcript: { required: true }
+ *     locales: { default: [en-GB, fr-FR] }
+ *   steps:
+ *     - id: summary
+ *       template: summarize_grounded
+ *       input: { transcript_text: "{inputs.transcript}" }
+ *     - id: localized
+ *       template: rewrite_localize
+ *       for_each: "{inputs.locales}"   # one generation per item
+ *       as: locale
+ *       input: { original_text: "...", locale: "{locale}" }
+ *     - id: social
+ *       template: repurpose_pack
+ *       when: steps.localized.lint.passed
+ *       channels: [linkedin, x]
+ *       input: { markdown: "{steps.localized.content.0}" }
+ *   output: "{steps.social.output}"
+ *
+ * Values are template text (see templateEngine.js) rendered against
+ * { inputs, steps, <as>, index }. A value that is a single placeholder
+ * keeps its type, so "{steps.summary.output.items}" is the array itself.
+ * Each finished step is available as steps.<id>: { status, output,
+ * content, lint: { passed, banned, ... }, schema: { valid, errors },
+ * channels }.
+ *
+ * Step fields: id, template, input, for_each, as (default "item"), when,
+ * channels (fills the channel_constraints input from the channel
+ * registry), thread, provider, options (passed to generate) and
+ * continue_on_error.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { lintStyle } from '../lint/styleLinter.js';
+import { channelRegistry } from '../channels/registry.js';
+import { combineUsage } from '../utils/usage.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import { extractJson } from '../utils/structuredOutput.js';
+import { lookupPath, renderTemplate } from '../utils/templateEngine.js';
+import { parseYaml } from '../utils/yaml.js';
+import { SPOTError, ValidationError } from '../utils/errorHandling.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_WORKFLOW_DIR = path.join(__dirname, '../../workflows');
+
+const WORKFLOW_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const STEP_ID_PATTERN = /^[a-z][a-z0-9_]*$/i;
+const RESERVED_NAMES = ['inputs', 'steps', 'index'];
+const STEP_FIELDS = [
+  'id',
+  'template',
+  'input',
+  'for_each',
+  'as',
+  'when',
+  'channels',
+  'thread',
+  'provider',
+  'options',
+  'continue_on_error',
+  'description',
+];
+const COMPARISONS = ['equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'in'];
+const SINGLE_PLACEHOLDER = /^\{\s*([A-Za-z_@][\w.@]*)\s*\}$/;
+const PATH_PATTERN = /^[A-Za-z_@][\w.@]*$/;
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTruthy(value) {
+  return (
+    value !== undefined &&
+    value !== null &&
+    value !== false &&
+    value !== 0 &&
+    value !== '' &&
+    !(Array.isArray(value) && value.length === 0)
+  );
+}
+
+// Workflow files in a directory, by name (the file name without extension)
+async function workflowFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+  const files = new Map();
+  for (const file of entries.sort()) {
+    const extension = path.extname(file).toLowerCase();
+    const name = path.basename(file, path.extname(file));
+    if (WORKFLOW_EXTENSIONS.includes(extension) && !files.has(name)) {
+      files.set(name, path.join(dir, file));
+    }
+  }
+  return files;
+}
+
+/**
+ * Parse workflow file text, as YAML or (for .json files) JSON
+ */
+export function parseWorkflow(text, file = 'workflow.yaml') {
+  if (path.extname(file).toLowerCase() !== '.json') return parseYaml(text);
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(
+      `Invalid JSON in ${path.basename(file)}: ${error.message}`,
+      'workflow',
+      file
+    );
+  }
+}
+
+/**
+ * Load a workflow by name (from dir) or by file path. Returns the
+ * validated definition with its name and file.
+ */
+export async function loadWorkflow(nameOrPath, dir = DEFAULT_WORKFLOW_DIR) {
+  const ref = String(nameOrPath || '');
+  const byPath =
+    WORKFLOW_EXTENSIONS.includes(path.extname(ref).toLowerCase()) ||
+    ref.includes('/');
+  const file = byPath ? path.resolve(ref) : (await workflowFiles(dir)).get(ref);
+
+  let text;
+  try {
+    text = file && (await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (!text && text !== '') {
+    throw new ValidationError(`Workflow not found: ${ref}`, 'workflow', ref);
+  }
+
+  const definition = parseWorkflow(text, file);
+  return validateWorkflow(
+    isObject(definition)
+      ? { name: path.basename(file, path.extname(file)), ...definition, file }
+      : definition
+  );
+}
+
+/**
+ * Workflows in dir as [{ name, description, file, steps, inputs }]. Files
+ * that do not load are listed with an error instead.
+ */
+export async function listWorkflows(dir = DEFAULT_WORKFLOW_DIR) {
+  const workflows = [];
+  for (const [name, file] of await workflowFiles(dir)) {
+    try {
+      const workflow = await loadWorkflow(file);
+      workflows.push({
+        name: workflow.name,
+        description: workflow.description || '',
+        file: path.relative(process.cwd(), file),
+        steps: workflow.steps.map((step) => step.id),
+        inputs: Object.keys(workflow.inputs),
+      });
+    } catch (error) {
+      workflows.push({
+        name,
+        file: path.relative(process.cwd(), file),
+        error: error.message,
+      });
+    }
+  }
+  return workflows;
+}
+
+// Step ids a value refers to as steps.<id>
+function stepReferences(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return Array.from(
+    text.matchAll(/(?:^|[^\w.])steps\.([A-Za-z_]\w*)/g),
+    (match) => match[1]
+  );
+}
+
+function conditionErrors(condition, field) {
+  if (typeof condition === 'string' || typeof condition === 'boolean') {
+    return [];
+  }
+  if (!isObject(condition)) {
+    return [{ field, message: 'must be a string, boolean or object' }];
+  }
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    const key = condition.all ? 'all' : 'any';
+    return condition[key].flatMap((item, index) =>
+      conditionErrors(item, `${field}.${key}[${index}]`)
+    );
+  }
+  if ('not' in condition) return conditionErrors(condition.not, `${field}.not`);
+
+  const comparisons = COMPARISONS.concat('contains').filter(
+    (key) => key in condition
+  );
+  if (!('value' in condition) || comparisons.length !== 1) {
+    return [
+      {
+        field,
+        message: `must be a path, { all }, { any }, { not } or { value } with one of ${COMPARISONS.join(
+          ', '
+        )}, contains`,
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Check a workflow definition: step ids are unique identifiers, every step
+ * has a template, steps only refer to earlier steps, and conditions have a
+ * known shape. Returns the definition with defaults ({ inputs: {}, as:
+ * "item" }); throws a ValidationError whose details.errors lists each
+ * problem.
+ */
+export function validateWorkflow(definition) {
+  if (!isObject(definition)) {
+    throw new ValidationError(
+      'A workflow must be an object with steps',
+      'workflow',
+      definition
+    );
+  }
+
+  const errors = [];
+  const { inputs = {}, steps } = definition;
+  if (!isObject(inputs)) {
+    errors.push({ field: 'inputs', message: 'must be an object' });
+  } else {
+    for (const [name, spec] of Object.entries(inputs)) {
+      if (spec !== null && !isObject(spec)) {
+        errors.push({
+          field: `inputs.${name}`,
+          message: 'must be an object ({ required, default, description })',
+        });
+      }
+    }
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push({ field: 'steps', message: 'must be a non-empty list' });
+  }
+
+  const seen = new Set();
+  (Array.isArray(steps) ? steps : []).forEach((step, index) => {
+    const field = `steps[${index}]`;
+    if (!isObject(step)) {
+      errors.push({ field, message: 'must be an object' });
+      return;
+    }
+    const { id } = step;
+    if (typeof id !== 'string' || !STEP_ID_PATTERN.test(id)) {
+      errors.push({
+        field: `${field}.id`,
+        message: 'must be letters, digits and underscores',
+      });
+    } else if (seen.has(id) || RESERVED_NAMES.includes(id)) {
+      errors.push({ field: `${field}.id`, message: `"${id}" is taken` });
+    }
+    if (typeof step.template !== 'string' || !step.template.trim()) {
+      errors.push({ field: `${field}.template`, message: 'is required' });
+    }
+    for (const key of Object.keys(step)) {
+      if (!STEP_FIELDS.includes(key)) {
+        errors.push({
+          field: `${field}.${key}`,
+          message: 'is not a step field',
+        });
+      }
+    }
+    if (step.input !== undefined && !isObject(step.input)) {
+      errors.push({ field: `${field}.input`, message: 'must be an object' });
+    }
+    if (step.options !== undefined && !isObject(step.options)) {
+      errors.push({ field: `${field}.options`, message: 'must be an object' });
+    }
+    if (
+      step.for_each !== undefined &&
+      typeof step.for_each !== 'string' &&
+      !Array.isArray(step.for_each)
+    ) {
+      errors.push({
+        field: `${field}.for_each`,
+        message: 'must be a list or a placeholder such as "{inputs.locales}"',
+      });
+    }
+    if (
+      step.as !== undefined &&
+      (typeof step.as !== 'string' ||
+        !STEP_ID_PATTERN.test(step.as) ||
+        RESERVED_NAMES.includes(step.as))
+    ) {
+      errors.push({
+        field: `${field}.as`,
+        message: `must be an identifier other than ${RESERVED_NAMES.join(
+          ', '
+        )}`,
+      });
+    }
+    if (step.when !== undefined) {
+      errors.push(...conditionErrors(step.when, `${field}.when`));
+    }
+
+    for (const ref of stepReferences([
+      step.input,
+      step.for_each,
+      step.when,
+      step.channels,
+      step.provider,
+    ])) {
+      if (!seen.has(ref)) {
+        errors.push({
+          field,
+          message: `refers to steps.${ref}, which is not an earlier step`,
+        });
+      }
+    }
+    if (typeof id === 'string') seen.add(id);
+  });
+
+  for (const ref of stepReferences(definition.output)) {
+    if (!seen.has(ref)) {
+      errors.push({
+        field: 'output',
+        message: `refers to unknown steps.${ref}`,
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    const name = definition.name || 'workflow';
+    const error = new ValidationError(
+      `Invalid workflow ${name}: ${errors
+        .map(({ field, message }) => `${field} ${message}`)
+        .join('; ')}`,
+      errors[0].field,
+      definition
+    );
+    error.details.errors = errors;
+    throw error;
+  }
+
+  return {
+    ...definition,
+    inputs,
+    steps: steps.map((step) => ({ as: 'item', ...step })),
+  };
+}
+
+/**
+ * Input values for a run: given values, then defaults. Throws a
+ * ValidationError for missing required inputs and, when the workflow
+ * declares its inputs, for unknown ones.
+ */
+export function workflowInputs(workflow, values = {}) {
+  const declared = workflow.inputs || {};
+  const names = Object.keys(declared);
+  const unknown =
+    names.length > 0 ? Object.keys(values).filter((n) => !(n in declared)) : [];
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown workflow input(s): ${unknown.join(', ')}. Expected: ${names.join(
+        ', '
+      )}`,
+      'inputs',
+      unknown
+    );
+  }
+
+  const inputs = { ...values };
+  for (const [name, spec] of Object.entries(declared)) {
+    if (inputs[name] === undefined && spec?.default !== undefined) {
+      inputs[name] = spec.default;
+    }
+    if (inputs[name] === undefined && spec?.required) {
+      throw new ValidationError(
+        `Missing workflow input: ${name}${
+          spec.description ? ` (${spec.description})` : ''
+        }`,
+        `inputs.${name}`,
+        undefined
+      );
+    }
+  }
+  return inputs;
+}
+
+/**
+ * Resolve a mapped value against scope: strings are template text, and a
+ * string that is one placeholder keeps the value's type. In strict mode a
+ * reference without a value throws a ValidationError.
+ */
+export function resolveValue(value, scope, options = {}) {
+  if (typeof value === 'string') {
+    const single = value.match(SINGLE_PLACEHOLDER);
+    if (!single) return renderTemplate(value, scope, options);
+
+    const found = lookupPath(scope, single[1]);
+    if (found === undefined && options.strict) {
+      throw new ValidationError(
+        `Missing template values: ${single[1]}`,
+        'template_input',
+        [single[1]]
+      );
+    }
+    return found ?? null;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveValue(item, scope, options));
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        resolveValue(item, scope, options),
+      ])
+    );
+  }
+  return value;
+}
+
+// Output text as JSON when it is JSON (or a fenced JSON block), else as is
+function stepOutput(result) {
+  if (result.parsed !== undefined) return result.parsed;
+  const text = result.content || '';
+  const json = /^\s*([[{]|```)/.test(text) ? extractJson(text).value : null;
+  return json ?? text;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// A step field's value, with missing references reported against the step
+function stepValue(step, field, value, scope) {
+  try {
+    return resolveValue(value, scope, { strict: true });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    throw new ValidationError(
+      `Step ${step.id}: ${error.message}`,
+      `steps.${step.id}.${field}`,
+      error.details.value
+    );
+  }
+}
+
+/**
+ * Evaluate a step condition against scope: a path or template text
+ * (truthy), a boolean, { all: [...] }, { any: [...] }, { not: condition }
+ * or { value, <comparison>: other } with equals, not_equals, gt, gte, lt,
+ * lte, in or contains.
+ */
+export function evaluateCondition(condition, scope) {
+  if (typeof condition === 'boolean') return condition;
+  if (typeof condition === 'string') {
+    const path = condition.trim();
+    return isTruthy(
+      PATH_PATTERN.test(path)
+        ? lookupPath(scope, path)
+        : resolveValue(path, scope)
+    );
+  }
+  if (Array.isArray(condition.all)) {
+    return condition.all.every((item) => evaluateCondition(item, scope));
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some((item) => evaluateCondition(item, scope));
+  }
+  if ('not' in condition) return !evaluateCondition(condition.not, scope);
+
+  const value = resolveValue(condition.value, scope);
+  const [operator] = COMPARISONS.concat('contains').filter(
+    (key) => key in condition
+  );
+  const other = resolveValue(condition[operator], scope);
+  switch (operator) {
+    case 'equals':
+      return sameValue(value, other);
+    case 'not_equals':
+      return !sameValue(value, other);
+    case 'gt':
+      return Number(value) > Number(other);
+    case 'gte':
+      return Number(value) >= Number(other);
+    case 'lt':
+      return Number(value) < Number(other);
+    case 'lte':
+      return Number(value) <= Number(other);
+    case 'in':
+      return Array.isArray(other) && other.some((v) => sameValue(v, value));
+    default:
+      return Array.isArray(value)
+        ? value.some((v) => sameValue(v, other))
+        : String(value ?? '').includes(String(other));
+  }
+}
+
+export class WorkflowExecutor {
+  /**
+   * options: { concurrency (parallel generations in a for_each step;
+   * default 4) }
+   */
+  constructor(spot, options = {}) {
+    this.spot = spot;
+    this.concurrency = options.concurrency ?? 4;
+  }
+
+  /**
+   * Run a workflow (a definition, or a name or file for loadWorkflow)
+   * with input values. options: { provider (default for steps without
+   * one), dir (where workflows are looked up), onStep(id, info) (progress
+   * callback) }. Returns { workflow, status, inputs, steps, output, usage,
+   * cost, startedAt, finishedAt }, where status is "completed", or
+   * "completed_with_errors" when a continue_on_error step failed. Any
+   * other failed step stops the run; the thrown error's details.run has
+   * the run so far.
+   */
+  async run(workflow, values = {}, options = {}) {
+    const definition =
+      typeof workflow === 'string'
+        ? await loadWorkflow(workflow, options.dir)
+        : validateWorkflow(workflow);
+    const inputs = workflowInputs(definition, values);
+
+    // Unknown templates fail before anything is generated
+    for (const step of definition.steps) {
+      await this.spot.templateManager.getTemplate(step.template);
+    }
+
+    const scope = { inputs, steps: {} };
+    const run = {
+      workflow: definition.name || null,
+      status: 'running',
+      inputs,
+      steps: [],
+      output: null,
+      startedAt: new Date().toISOString(),
+    };
+    const generations = [];
+    let current = null;
+
+    try {
+      for (const step of definition.steps) {
+        current = step.id;
+        const record = await this.runStep(step, scope, options, generations);
+        scope.steps[step.id] = record;
+        run.steps.push(record);
+      }
+      current = null;
+
+      const last = run.steps[run.steps.length - 1];
+      run.output =
+        definition.output !== undefined
+          ? resolveValue(definition.output, scope)
+          : last.output;
+      run.status = run.steps.some((step) => step.status === 'failed')
+        ? 'completed_with_errors'
+        : 'completed';
+      return run;
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      if (error instanceof ValidationError) {
+        error.details.run = run;
+        throw error;
+      }
+      throw new SPOTError(
+        `Workflow ${run.workflow || 'run'} failed at step ${current}: ${
+          error.message
+        }`,
+        'WORKFLOW_STEP_ERROR',
+        { step: current, run, cause: error.code }
+      );
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      run.usage = combineUsage(...generations.map((m) => m.usage));
+      run.cost = generations.some((m) => typeof m.cost === 'number')
+        ? generations.reduce((sum, m) => sum + (m.cost || 0), 0)
+        : null;
+      run.generations = generations.length;
+    }
+  }
+
+  // One step: skipped when its condition fails, else one generation (or
+  // one per for_each item). Returns the step record.
+  async runStep(step, scope, options, generations) {
+    const started = Date.now();
+    const record = { id: step.id, template: step.template };
+
+    if (step.when !== undefined && !evaluateCondition(step.when, scope)) {
+      Object.assign(record, { status: 'skipped', output: null });
+      options.onStep?.(step.id, { ...record });
+      return record;
+    }
+    options.onStep?.(step.id, { status: 'started' });
+
+    try {
+      if (step.for_each === undefined) {
+        Object.assign(
+          record,
+          await this.generate(step, scope, options, generations)
+        );
+      } else {
+        const items = stepValue(step, 'for_each', step.for_each, scope);
+        if (!Array.isArray(items)) {
+          throw new ValidationError(
+            `Step ${step.id}: for_each must resolve to a list`,
+            `steps.${step.id}.for_each`,
+            items
+          );
+        }
+        const results = await mapConcurrent(
+          items,
+          this.concurrency,
+          (item, index) =>
+            this.generate(
+              step,
+              { ...scope, [step.as]: item, index },
+              options,
+              generations
+            )
+        );
+        Object.assign(record, {
+          items: results.map((result, index) => ({
+            [step.as]: items[index],
+            ...result,
+          })),
+          output: results.map((result) => result.output),
+          content: results.map((result) => result.content),
+          lint: {
+            passed: results.every((result) => result.lint.passed),
+            banned: Array.from(
+              new Set(results.flatMap((result) => result.lint.banned))
+            ),
+          },
+          schema: results.some((result) => result.schema)
+            ? {
+                valid: results.every((result) => result.schema?.valid),
+                errors: results.flatMap(
+                  (result) => result.schema?.errors || []
+                ),
+              }
+            : null,
+        });
+      }
+      record.status = 'completed';
+    } catch (error) {
+      if (!step.continue_on_error) throw error;
+      Object.assign(record, {
+        status: 'failed',
+        output: null,
+        error: error.message,
+        schema:
+          error.code === 'OUTPUT_SCHEMA_ERROR'
+            ? { valid: false, errors: error.details.errors }
+            : null,
+      });
+    } finally {
+      record.duration = Date.now() - started;
+    }
+    options.onStep?.(step.id, { ...record });
+    return record;
+  }
+
+  async generate(step, scope, options, generations) {
+    const input = stepValue(step, 'input', step.input || {}, scope);
+    if (
+      step.channels !== undefined &&
+      input.channel_constraints === undefined
+    ) {
+      input.channel_constraints = channelRegistry.presets(
+        stepValue(step, 'channels', step.channels, scope),
+        await this.loadChannelOverrides(),
+        { thread: step.thread === true }
+      );
+    }
+
+    const response = await this.spot.generate({
+      ...step.options,
+      template: step.template,
+      content: input,
+      provider: step.provider
+        ? resolveValue(step.provider, scope)
+        : options.provider,
+    });
+    generations.push(response.metadata);
+
+    const { result } = response;
+    const stylePack = await this.spot.loadStylePack();
+    const lint = lintStyle(result.content || '', stylePack);
+    return {
+      output: stepOutput(result),
+      content: result.content,
+      lint: { passed: lint.banned.length === 0, ...lint },
+      schema: result.metadata.structured
+        ? {
+            valid: result.metadata.structured.valid,
+            errors: result.metadata.structured.errors,
+          }
+        : null,
+      channels: result.metadata.channels || null,
+      usage: response.metadata.usage,
+    };
+  }
+
+  // Channel limits from configs/channels.json, when the config manager is
+  // available
+  async loadChannelOverrides() {
+    if (typeof this.spot.config?.loadConfig === 'function') {
+      return this.spot.config.loadConfig('channels');
+    }
+    return {};
+  }
+}
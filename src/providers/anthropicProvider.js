@@ -1,8 +1,14 @@
-import { Provider } from './provider.base.js';
+import {
+  Provider,
+  readEventStream,
+  splitSystemMessages,
+} from './provider.base.js';
+import { createUsage } from '../utils/usage.js';
 
 class AnthropicProvider extends Provider {
   constructor(apiKey, options = {}) {
     super();
+    this.name = 'anthropic';
     this.apiKey = apiKey;
     this.baseURL = options.baseURL || 'https://api.anthropic.com/v1';
     this.defaultModel = options.model || 'claude-3-sonnet-20240229';
@@ -11,18 +17,29 @@ class AnthropicProvider extends Provider {
     this.anthropicVersion = options.anthropicVersion || '2023-06-01';
   }
 
-  async generateText(prompt, options = {}) {
+  buildPayload(prompt, options = {}) {
     const model = options.model || this.defaultModel;
     const maxTokens = options.maxTokens || this.defaultMaxTokens;
     const temperature = options.temperature || this.defaultTemperature;
+    const { system, turns } = splitSystemMessages(prompt);
 
     const payload = {
       model,
       max_tokens: maxTokens,
       temperature,
-      messages: [{ role: 'user', content: prompt }],
+      messages: turns,
     };
 
+    // Anthropic takes the system prompt as a top-level field. It has no
+    // native JSON mode, so structured output relies on validation and repair.
+    if (system) {
+      payload.system = system;
+    }
+
+    return payload;
+  }
+
+  async sendRequest(payload) {
     try {
       const response = await fetch(`${this.baseURL}/messages`, {
         method: 'POST',
@@ -43,14 +60,7 @@ class AnthropicProvider extends Provider {
         );
       }
 
-      const data = await response.json();
-
-      if (!data.content || data.content.length === 0) {
-        throw new Error('No content returned from Anthropic API');
-      }
-
-      // Anthropic returns content as an array of objects
-      return data.content[0].text;
+      return response;
     } catch (error) {
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
         throw new Error('Network error: Unable to connect to Anthropic API');
@@ -58,6 +68,67 @@ class AnthropicProvider extends Provider {
       throw error;
     }
   }
+
+  async generate(prompt, options = {}) {
+    const payload = this.buildPayload(prompt, options);
+    const response = await this.sendRequest(payload);
+    const data = await response.json();
+
+    if (!data.content || data.content.length === 0) {
+      throw new Error('No content returned from Anthropic API');
+    }
+
+    // Anthropic returns content as an array of objects
+    return {
+      text: data.content[0].text,
+      usage: createUsage(data.usage?.input_tokens, data.usage?.output_tokens),
+      model: data.model || payload.model,
+    };
+  }
+
+  async generateText(prompt, options = {}) {
+    return (await this.generate(prompt, options)).text;
+  }
+
+  async *streamText(prompt, options = {}) {
+    const payload = this.buildPayload(prompt, options);
+    const response = await this.sendRequest({ ...payload, stream: true });
+
+    // Input tokens arrive in message_start, output tokens in message_delta
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let model = payload.model;
+
+    for await (const { event, data } of readEventStream(response)) {
+      if (event === 'message_stop') break;
+
+      if (event === 'message_start') {
+        const { message } = JSON.parse(data);
+        inputTokens = message?.usage?.input_tokens || 0;
+        outputTokens = message?.usage?.output_tokens || 0;
+        model = message?.model || model;
+      }
+
+      if (event === 'message_delta') {
+        const { usage } = JSON.parse(data);
+        outputTokens = usage?.output_tokens ?? outputTokens;
+      }
+
+      if (event === 'error') {
+        const error = JSON.parse(data);
+        throw new Error(
+          `Anthropic API error: ${error.error?.message || 'stream failed'}`
+        );
+      }
+
+      if (event === 'content_block_delta') {
+        const { delta } = JSON.parse(data);
+        if (delta?.type === 'text_delta' && delta.text) yield delta.text;
+      }
+    }
+
+    options.onUsage?.(createUsage(inputTokens, outputTokens), model);
+  }
 }
 
 export default AnthropicProvider;
@@ -1,8 +1,14 @@
-import { Provider } from './provider.base.js';
+import {
+  Provider,
+  readEventStream,
+  splitSystemMessages,
+} from './provider.base.js';
+import { createUsage } from '../utils/usage.js';
 
 class GeminiProvider extends Provider {
   constructor(apiKey, options = {}) {
     super();
+    this.name = 'gemini';
     this.apiKey = apiKey;
     this.baseURL =
       options.baseURL || 'https://generativelanguage.googleapis.com/v1beta';
@@ -11,17 +17,17 @@ class GeminiProvider extends Provider {
     this.defaultTemperature = options.temperature || 0.7;
   }
 
-  async generateText(prompt, options = {}) {
-    const model = options.model || this.defaultModel;
+  buildPayload(prompt, options = {}) {
     const maxTokens = options.maxTokens || this.defaultMaxTokens;
     const temperature = options.temperature || this.defaultTemperature;
+    const { system, turns } = splitSystemMessages(prompt);
 
     const payload = {
-      contents: [
-        {
-          parts: [{ text: prompt }],
-        },
-      ],
+      // Gemini calls the assistant role "model"
+      contents: turns.map(({ role, content }) => ({
+        role: role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: content }],
+      })),
       generationConfig: {
         temperature,
         maxOutputTokens: maxTokens,
@@ -30,9 +36,24 @@ class GeminiProvider extends Provider {
       },
     };
 
+    if (system) {
+      payload.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    if (options.responseFormat?.type === 'json') {
+      payload.generationConfig.responseMimeType = 'application/json';
+    }
+
+    return payload;
+  }
+
+  async sendRequest(method, payload, options = {}) {
+    const model = options.model || this.defaultModel;
+    const query = method === 'streamGenerateContent' ? 'alt=sse&' : '';
+
     try {
       const response = await fetch(
-        `${this.baseURL}/models/${model}:generateContent?key=${this.apiKey}`,
+        `${this.baseURL}/models/${model}:${method}?${query}key=${this.apiKey}`,
         {
           method: 'POST',
           headers: {
@@ -51,22 +72,7 @@ class GeminiProvider extends Provider {
         );
       }
 
-      const data = await response.json();
-
-      if (!data.candidates || data.candidates.length === 0) {
-        throw new Error('No candidates returned from Gemini API');
-      }
-
-      const candidate = data.candidates[0];
-      if (
-        !candidate.content ||
-        !candidate.content.parts ||
-        candidate.content.parts.length === 0
-      ) {
-        throw new Error('No content parts returned from Gemini API');
-      }
-
-      return candidate.content.parts[0].text;
+      return response;
     } catch (error) {
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
         throw new Error('Network error: Unable to connect to Gemini API');
@@ -74,6 +80,72 @@ class GeminiProvider extends Provider {
       throw error;
     }
   }
+
+  async generate(prompt, options = {}) {
+    const response = await this.sendRequest(
+      'generateContent',
+      this.buildPayload(prompt, options),
+      options
+    );
+    const data = await response.json();
+
+    if (!data.candidates || data.candidates.length === 0) {
+      throw new Error('No candidates returned from Gemini API');
+    }
+
+    const candidate = data.candidates[0];
+    if (
+      !candidate.content ||
+      !candidate.content.parts ||
+      candidate.content.parts.length === 0
+    ) {
+      throw new Error('No content parts returned from Gemini API');
+    }
+
+    return {
+      text: candidate.content.parts[0].text,
+      usage: createUsage(
+        data.usageMetadata?.promptTokenCount,
+        data.usageMetadata?.candidatesTokenCount
+      ),
+      model: data.modelVersion || options.model || this.defaultModel,
+    };
+  }
+
+  async generateText(prompt, options = {}) {
+    return (await this.generate(prompt, options)).text;
+  }
+
+  async *streamText(prompt, options = {}) {
+    const response = await this.sendRequest(
+      'streamGenerateContent',
+      this.buildPayload(prompt, options),
+      options
+    );
+
+    // Each chunk carries cumulative usage; keep the latest
+    let usageMetadata = null;
+    let model = options.model || this.defaultModel;
+
+    for await (const { data } of readEventStream(response)) {
+      const chunk = JSON.parse(data);
+      const parts = chunk.candidates?.[0]?.content?.parts || [];
+      usageMetadata = chunk.usageMetadata || usageMetadata;
+      model = chunk.modelVersion || model;
+
+      for (const part of parts) {
+        if (part.text) yield part.text;
+      }
+    }
+
+    options.onUsage?.(
+      createUsage(
+        usageMetadata?.promptTokenCount,
+        usageMetadata?.candidatesTokenCount
+      ),
+      model
+    );
+  }
 }
 
 export default GeminiProvider;
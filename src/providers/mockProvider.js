@@ -1,110 +1,215 @@
-import { Provider } from './provider.base.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Provider, normalizeMessages } from './provider.base.js';
+import { estimateUsage } from '../utils/usage.js';
+import { handleProviderError } from '../utils/errorHandling.js';
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/mock');
+
+// Prompts without template information fall back to keyword detection
+const KEYWORD_TEMPLATES = [
+  ['scaffold', 'draft_scaffold'],
+  ['expand', 'section_expand'],
+  ['rewrite', 'rewrite_localize'],
+  ['summarize', 'summarize_grounded'],
+  ['repurpose', 'repurpose_pack'],
+];
+
+const FALLBACK_RESPONSE =
+  'This is a mock response from the MockProvider. In a real implementation, this would be generated by an AI model based on your prompt.';
+
+/**
+ * Offline provider that serves scripted responses from fixtures.
+ *
+ * Fixtures live in fixtures/mock/<template>@<version>.json (or
+ * <template>.json for any version) and hold an ordered list of rules:
+ *
+ *   { "name": "react-hooks", "match": { "topic": "react hooks" }, "response": {...} }
+ *   { "name": "default", "default": true, "response": "..." }
+ *
+ * Each match key is a case-insensitive regex tested against that input
+ * field (or against the prompt text when no input is passed); the special
+ * key "prompt" always tests the prompt text. Rules may also set "error",
+ * "latency" or "malformedJson" to script a failure for matching requests.
+ *
+ * Options:
+ *   fixturesDir   - fixture directory (default fixtures/mock)
+ *   latency       - delay in ms, or { min, max } (default 100)
+ *   failure       - { status: 429 | 500, rate, count, message }: fail the
+ *                   first `count` calls, or a `rate` fraction of calls
+ *   malformedJson - 'truncate' | 'prose', or { mode, rate, count }
+ */
 class MockProvider extends Provider {
   constructor(options = {}) {
     super();
+    this.name = 'mock';
     this.options = options;
+    this.fixturesDir = options.fixturesDir
+      ? path.resolve(options.fixturesDir)
+      : DEFAULT_FIXTURES_DIR;
+    this.latency = options.latency ?? 100;
+    this.failure = options.failure || null;
+    this.malformedJson = options.malformedJson || null;
+    this.calls = 0;
+    this.fixtures = new Map();
   }
 
   async generateText(prompt, options = {}) {
-    // Simulate API delay
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    this.calls++;
 
-    // Handle both string and object prompts
+    // Handle both string prompts and message lists
     const promptText =
-      typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
-
-    // Return mock response based on prompt content
-    if (
-      promptText.includes('scaffold') ||
-      promptText.includes('draft_scaffold')
-    ) {
-      return JSON.stringify(
-        {
-          title: 'Privacy-First Analytics for Startup Founders',
-          sections: [
-            {
-              heading: 'Why Privacy Matters for Your Startup',
-              bullets: [
-                'Build customer trust from day one',
-                'Comply with GDPR, CCPA, and emerging regulations',
-                'Differentiate from Big Tech competitors',
-              ],
-            },
-            {
-              heading: 'Analytics Without Compromise',
-              bullets: [
-                'Track user behavior without personal data collection',
-                'Get actionable insights while respecting privacy',
-                'Reduce legal risk and compliance overhead',
-              ],
-            },
-            {
-              heading: 'Implementation Strategy',
-              bullets: [
-                'Choose privacy-first analytics tools',
-                'Set up consent management properly',
-                'Monitor and optimize performance',
-              ],
-            },
-          ],
-        },
-        null,
-        2
-      );
+      typeof prompt === 'string'
+        ? prompt
+        : normalizeMessages(prompt)
+            .map((message) => message.content)
+            .join('\n\n');
+
+    const rule = this.findRule(promptText, options);
+
+    // Simulate API delay
+    await new Promise((resolve) =>
+      setTimeout(resolve, this.resolveLatency(rule?.latency ?? this.latency))
+    );
+
+    const error =
+      rule?.error || (this.shouldInject(this.failure) && this.failure);
+    if (error) {
+      this.throwHttpError(error);
     }
 
-    if (
-      promptText.includes('expand') ||
-      promptText.includes('section_expand')
-    ) {
-      return "Privacy matters more than ever for startup founders. Building customer trust from day one isn't just good ethics—it's smart business. When users know you respect their data, they're more likely to engage deeply with your product. This trust translates directly into higher conversion rates, lower churn, and stronger word-of-mouth growth. Privacy-first analytics lets you understand user behavior without compromising on the values that matter to your customers.";
+    const text = this.formatResponse(rule ? rule.response : FALLBACK_RESPONSE);
+
+    const malformed = rule?.malformedJson || this.malformedJson;
+    if (malformed && this.shouldInject(malformed)) {
+      return this.corruptJson(text, malformed.mode || malformed);
     }
 
-    if (
-      promptText.includes('rewrite') ||
-      promptText.includes('rewrite_localize')
-    ) {
-      return 'This content has been rewritten for the specified audience, tone, and reading level using privacy-focused analytics principles.';
+    return text;
+  }
+
+  async *streamText(prompt, options = {}) {
+    const text = await this.generateText(prompt, options);
+    options.onUsage?.(estimateUsage(prompt, text), 'mock');
+
+    // Emit word-sized chunks (keeping whitespace) to mimic token streaming
+    for (const chunk of text.match(/\S+\s*|\s+/g) || []) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      yield chunk;
+    }
+  }
+
+  // Find the first matching rule for the request's template, falling back
+  // to the template's default rule
+  findRule(promptText, options = {}) {
+    const template =
+      options.template || this.detectTemplate(promptText) || null;
+    if (!template) return null;
+
+    const fixture = this.loadFixture(template.id, template.version);
+    if (!fixture) return null;
+
+    const rules = fixture.responses || [];
+    return (
+      rules.find(
+        (rule) =>
+          rule.match && this.matchesRule(rule.match, promptText, options.input)
+      ) ||
+      rules.find((rule) => rule.default) ||
+      null
+    );
+  }
+
+  matchesRule(match, promptText, input) {
+    return Object.entries(match).every(([field, pattern]) => {
+      const value =
+        field === 'prompt' || !input ? promptText : input[field] ?? '';
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return new RegExp(pattern, 'i').test(text);
+    });
+  }
+
+  detectTemplate(promptText) {
+    const entry = KEYWORD_TEMPLATES.find(
+      ([keyword, id]) => promptText.includes(keyword) || promptText.includes(id)
+    );
+    return entry ? { id: entry[1] } : null;
+  }
+
+  loadFixture(id, version) {
+    const candidates = version ? [`${id}@${version}`, id] : [id];
+
+    // Without a version, use the newest versioned fixture for the template
+    if (!version && fs.existsSync(this.fixturesDir)) {
+      const versioned = fs
+        .readdirSync(this.fixturesDir)
+        .filter((file) => file.startsWith(`${id}@`) && file.endsWith('.json'))
+        .map((file) => file.slice(0, -'.json'.length))
+        .sort((a, b) =>
+          b.localeCompare(a, undefined, { numeric: true, sensitivity: 'base' })
+        );
+      candidates.push(...versioned);
     }
 
-    if (
-      promptText.includes('summarize') ||
-      promptText.includes('summarize_grounded')
-    ) {
-      return 'Executive Summary: This transcript discusses privacy-first analytics implementation strategies for startups. Key points include regulatory compliance, customer trust building, and technical implementation approaches. [Timestamp: 0:00-5:30]';
+    for (const name of candidates) {
+      if (this.fixtures.has(name)) return this.fixtures.get(name);
+
+      const file = path.join(this.fixturesDir, `${name}.json`);
+      if (fs.existsSync(file)) {
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        this.fixtures.set(name, fixture);
+        return fixture;
+      }
     }
 
-    if (
-      promptText.includes('repurpose') ||
-      promptText.includes('repurpose_pack')
-    ) {
-      return JSON.stringify(
-        {
-          linkedin: {
-            title: '🔒 Privacy-First Analytics: The Startup Advantage',
-            content:
-              "Smart founders are choosing privacy-first analytics. Here's why your startup should too...",
-            hashtags: ['#PrivacyFirst', '#StartupLife', '#Analytics'],
-          },
-          twitter: {
-            content:
-              "Privacy-first analytics isn't just compliance—it's competitive advantage. 🚀\n\nYour customers will thank you. Your lawyers will thank you. Your growth metrics will thank you.\n\n#PrivacyFirst #StartupTips",
-            thread: false,
-          },
-          email: {
-            subject: 'Why Your Startup Needs Privacy-First Analytics',
-            preview: 'Building trust while growing fast',
-            content:
-              'Dear Founder,\n\nEvery data point you collect is a promise to your users...',
-          },
-        },
-        null,
-        2
-      );
+    return null;
+  }
+
+  formatResponse(response) {
+    return typeof response === 'string'
+      ? response
+      : JSON.stringify(response, null, 2);
+  }
+
+  resolveLatency(latency) {
+    if (typeof latency === 'number') return latency;
+    const { min = 0, max = min } = latency || {};
+    return min + Math.random() * (max - min);
+  }
+
+  // Injections apply to the first `count` calls, or to a `rate` fraction
+  // of calls; without either they always apply
+  shouldInject(injection) {
+    if (!injection) return false;
+    if (typeof injection !== 'object') return true;
+    if (injection.count !== undefined) return this.calls <= injection.count;
+    if (injection.rate !== undefined) return Math.random() < injection.rate;
+    return true;
+  }
+
+  // Throw an error shaped like a failed HTTP response so it takes the same
+  // path (retryable or not) as real provider errors
+  throwHttpError({ status = 500, message }) {
+    const error = new Error(
+      message ||
+        (status === 429 ? 'Too Many Requests' : `Mock HTTP ${status} error`)
+    );
+    error.status = status;
+    handleProviderError(error, this.name);
+  }
+
+  corruptJson(text, mode) {
+    if (mode === 'prose') {
+      return `Here is the JSON you asked for:\n\n\`\`\`json\n${text}\n\`\`\`\n\nLet me know if you need changes!`;
     }
 
-    return 'This is a mock response from the MockProvider. In a real implementation, this would be generated by an AI model based on your prompt.';
+    // Default: cut the response off partway through, like a truncated
+    // completion
+    return text.slice(0, Math.max(1, Math.floor(text.length * 0.7)));
   }
 }
 
@@ -0,0 +1,55 @@
+import OpenAIProvider from './openaiProvider.js';
+
+// Provider for servers that implement the OpenAI chat completions API,
+// such as Ollama, llama.cpp's server, and vLLM. Authentication is optional
+// so that local, air-gapped endpoints work without an API key.
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(apiKey, options = {}) {
+    if (!options.baseURL) {
+      throw new Error('baseURL is required for OpenAI-compatible providers');
+    }
+
+    super(apiKey, options);
+    this.name = options.name || 'openai-compatible';
+    this.displayName = `${this.name} (${options.baseURL})`;
+    this.models = options.models || [];
+    // Many local servers reject stream_options, so streamed usage is opt-in
+    this.streamUsage = options.streamUsage ?? false;
+    this.defaultModel = options.model || this.models[0];
+
+    if (!this.defaultModel) {
+      throw new Error(
+        `No model configured for OpenAI-compatible provider: ${this.name}`
+      );
+    }
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  // Configured models, or the models the server reports via GET /models
+  async listModels() {
+    if (this.models.length > 0) {
+      return this.models;
+    }
+
+    const response = await fetch(`${this.baseURL}/models`, {
+      headers: this.buildHeaders(),
+    });
+    if (!response.ok) {
+      throw new Error(
+        `${this.displayName} API error: ${response.status} - ${response.statusText}`
+      );
+    }
+
+    const data = await response.json();
+    return (data.data || []).map((model) => model.id);
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -1,60 +1,139 @@
-import { Provider } from './provider.base.js';
+import {
+  Provider,
+  normalizeMessages,
+  readEventStream,
+} from './provider.base.js';
+import { createUsage } from '../utils/usage.js';
+
+const LEGACY_JSON_MODELS = /^gpt-4(-0314|-0613)?$/;
 
 class OpenAIProvider extends Provider {
   constructor(apiKey, options = {}) {
     super();
+    this.name = 'openai';
+    this.displayName = 'OpenAI';
     this.apiKey = apiKey;
     this.baseURL = options.baseURL || 'https://api.openai.com/v1';
     this.defaultModel = options.model || 'gpt-4';
     this.defaultMaxTokens = options.maxTokens || 2000;
     this.defaultTemperature = options.temperature || 0.7;
+    this.jsonMode = options.jsonMode;
+    // Ask for token usage in the last chunk of a stream (stream_options)
+    this.streamUsage = options.streamUsage ?? true;
   }
 
-  async generateText(prompt, options = {}) {
+  buildPayload(prompt, options = {}) {
     const model = options.model || this.defaultModel;
     const maxTokens = options.maxTokens || this.defaultMaxTokens;
     const temperature = options.temperature || this.defaultTemperature;
 
     const payload = {
       model,
-      messages: [{ role: 'user', content: prompt }],
+      messages: normalizeMessages(prompt),
       max_tokens: maxTokens,
       temperature,
     };
 
+    if (
+      options.responseFormat?.type === 'json' &&
+      this.supportsJsonMode(model)
+    ) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    return payload;
+  }
+
+  // JSON mode can be set per provider with the jsonMode option; the
+  // original gpt-4 snapshots reject response_format
+  supportsJsonMode(model) {
+    return this.jsonMode ?? !LEGACY_JSON_MODELS.test(model);
+  }
+
+  buildHeaders() {
+    return {
+      Authorization: `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+    };
+  }
+
+  async sendRequest(payload) {
     try {
       const response = await fetch(`${this.baseURL}/chat/completions`, {
         method: 'POST',
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
+        headers: this.buildHeaders(),
         body: JSON.stringify(payload),
       });
 
       if (!response.ok) {
         const error = await response.json().catch(() => ({}));
         throw new Error(
-          `OpenAI API error: ${response.status} - ${
+          `${this.displayName} API error: ${response.status} - ${
             error.error?.message || response.statusText
           }`
         );
       }
 
-      const data = await response.json();
-
-      if (!data.choices || data.choices.length === 0) {
-        throw new Error('No response choices returned from OpenAI API');
-      }
-
-      return data.choices[0].message.content;
+      return response;
     } catch (error) {
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error('Network error: Unable to connect to OpenAI API');
+        throw new Error(
+          `Network error: Unable to connect to ${this.displayName} API`
+        );
       }
       throw error;
     }
   }
+
+  async generate(prompt, options = {}) {
+    const payload = this.buildPayload(prompt, options);
+    const response = await this.sendRequest(payload);
+    const data = await response.json();
+
+    if (!data.choices || data.choices.length === 0) {
+      throw new Error(
+        `No response choices returned from ${this.displayName} API`
+      );
+    }
+
+    return {
+      text: data.choices[0].message.content,
+      usage: createUsage(
+        data.usage?.prompt_tokens,
+        data.usage?.completion_tokens
+      ),
+      model: data.model || payload.model,
+    };
+  }
+
+  async generateText(prompt, options = {}) {
+    return (await this.generate(prompt, options)).text;
+  }
+
+  async *streamText(prompt, options = {}) {
+    const payload = this.buildPayload(prompt, options);
+    const response = await this.sendRequest({
+      ...payload,
+      stream: true,
+      ...(this.streamUsage && { stream_options: { include_usage: true } }),
+    });
+
+    for await (const { data } of readEventStream(response)) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield text;
+
+      // The final chunk carries usage for the whole stream
+      if (chunk.usage) {
+        options.onUsage?.(
+          createUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens),
+          chunk.model || payload.model
+        );
+      }
+    }
+  }
 }
 
 export default OpenAIProvider;
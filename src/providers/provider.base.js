@@ -1,5 +1,120 @@
+import { estimateUsage } from '../utils/usage.js';
+
 export class Provider {
   async generateText(prompt, options = {}) {
     throw new Error('generateText method must be implemented by subclass');
   }
+
+  // Returns { text, usage: { inputTokens, outputTokens, totalTokens }, model }.
+  // Providers whose APIs report token usage override this; the default
+  // estimates usage from the prompt and completion length.
+  async generate(prompt, options = {}) {
+    const text = await this.generateText(prompt, options);
+    return {
+      text,
+      usage: estimateUsage(prompt, text),
+      model: options.model || this.defaultModel || this.name,
+    };
+  }
+
+  // Yields the completion as incremental text chunks. Providers without
+  // native streaming support yield the whole completion as a single chunk.
+  // Token usage is reported through the optional options.onUsage callback.
+  async *streamText(prompt, options = {}) {
+    const { text, usage, model } = await this.generate(prompt, options);
+    options.onUsage?.(usage, model);
+    yield text;
+  }
+}
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Normalize a prompt into a message list. Providers accept either a plain
+ * string (sent as a single user message) or an array of
+ * { role: 'system' | 'user' | 'assistant', content } messages.
+ */
+export function normalizeMessages(prompt) {
+  if (typeof prompt === 'string') {
+    return [{ role: 'user', content: prompt }];
+  }
+
+  if (!Array.isArray(prompt)) {
+    throw new Error('Prompt must be a string or an array of messages');
+  }
+
+  for (const message of prompt) {
+    if (!MESSAGE_ROLES.includes(message?.role)) {
+      throw new Error(
+        `Invalid message role: ${
+          message?.role
+        }. Supported roles: ${MESSAGE_ROLES.join(', ')}`
+      );
+    }
+  }
+
+  return prompt.map(({ role, content }) => ({
+    role,
+    content: String(content),
+  }));
+}
+
+/**
+ * Split a message list into the combined system prompt and the
+ * conversation turns, merging consecutive turns from the same role
+ * (Anthropic and Gemini require alternating user/assistant turns).
+ */
+export function splitSystemMessages(prompt) {
+  const system = [];
+  const turns = [];
+
+  for (const message of normalizeMessages(prompt)) {
+    if (message.role === 'system') {
+      system.push(message.content);
+    } else if (turns.length > 0 && turns.at(-1).role === message.role) {
+      turns.at(-1).content += `\n\n${message.content}`;
+    } else {
+      turns.push({ ...message });
+    }
+  }
+
+  return { system: system.join('\n\n'), turns };
+}
+
+/**
+ * Parse a fetch Response body as Server-Sent Events.
+ * Yields { event, data } objects, one per dispatched event.
+ */
+export async function* readEventStream(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (line === '') {
+        // Blank line dispatches the pending event
+        if (data.length > 0) {
+          yield { event, data: data.join('\n') };
+        }
+        event = 'message';
+        data = [];
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+  }
+
+  if (data.length > 0) {
+    yield { event, data: data.join('\n') };
+  }
 }
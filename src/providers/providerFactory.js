@@ -2,6 +2,8 @@ import MockProvider from './mockProvider.js';
 import OpenAIProvider from './openaiProvider.js';
 import AnthropicProvider from './anthropicProvider.js';
 import GeminiProvider from './geminiProvider.js';
+import OpenAICompatibleProvider from './openaiCompatibleProvider.js';
+import ReplayProvider from './replayProvider.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -36,14 +38,30 @@ class ProviderFactory {
     }
   }
 
+  // Provider names in configs/providers.json may be aliases for a provider
+  // type, e.g. { "ollama": { "type": "openai-compatible", ... } }
+  static resolveType(name) {
+    const config = this.loadConfig();
+    const providerConfig = config.providers[name?.toLowerCase()] || {};
+    return (providerConfig.type || name || '').toLowerCase();
+  }
+
+  // Mock, replay and OpenAI-compatible (local) providers can run without a
+  // key; replay only needs its target's key when recording
+  static requiresApiKey(name) {
+    return !['mock', 'replay', 'openai-compatible'].includes(
+      this.resolveType(name)
+    );
+  }
+
   static createProvider(type, apiKey, options = {}) {
     const config = this.loadConfig();
     const providerConfig = config.providers[type?.toLowerCase()] || {};
     const mergedOptions = { ...providerConfig, ...options };
 
-    switch (type.toLowerCase()) {
+    switch (this.resolveType(type)) {
       case 'mock':
-        return new MockProvider(mergedOptions);
+        return new MockProvider({ ...mergedOptions, ...this.mockEnvOptions() });
       case 'openai':
         if (!apiKey) throw new Error('API key required for OpenAI provider');
         return new OpenAIProvider(apiKey, mergedOptions);
@@ -53,19 +71,68 @@ class ProviderFactory {
       case 'gemini':
         if (!apiKey) throw new Error('API key required for Gemini provider');
         return new GeminiProvider(apiKey, mergedOptions);
+      case 'openai-compatible':
+        return new OpenAICompatibleProvider(apiKey, {
+          name: type.toLowerCase(),
+          ...mergedOptions,
+        });
+      case 'replay': {
+        // Explicit options win over REPLAY_* environment variables, which
+        // win over configs/providers.json
+        const target =
+          options.target || process.env.REPLAY_TARGET || providerConfig.target;
+        if (!target || this.resolveType(target) === 'replay') {
+          throw new Error('Replay provider requires a non-replay target');
+        }
+
+        return new ReplayProvider({
+          ...mergedOptions,
+          mode: options.mode || process.env.REPLAY_MODE || providerConfig.mode,
+          cassetteDir:
+            options.cassetteDir ||
+            process.env.REPLAY_CASSETTE_DIR ||
+            providerConfig.cassetteDir,
+          target,
+          createTarget: () =>
+            this.createProvider(target, this.getApiKey(target)),
+        });
+      }
       default:
         throw new Error(
-          `Unknown provider type: ${type}. Supported types: mock, openai, anthropic, gemini`
+          `Unknown provider type: ${type}. Supported types: mock, openai, anthropic, gemini, openai-compatible, replay`
         );
     }
   }
 
+  // MOCK_* environment variables script the mock provider's behavior, e.g.
+  // MOCK_FAILURE_STATUS=429 MOCK_FAILURE_COUNT=2 to exercise retries
+  static mockEnvOptions() {
+    const env = process.env;
+    const options = {};
+
+    if (env.MOCK_FIXTURES_DIR) options.fixturesDir = env.MOCK_FIXTURES_DIR;
+    if (env.MOCK_LATENCY_MS) options.latency = Number(env.MOCK_LATENCY_MS);
+    if (env.MOCK_FAILURE_STATUS) {
+      options.failure = { status: Number(env.MOCK_FAILURE_STATUS) };
+      if (env.MOCK_FAILURE_COUNT) {
+        options.failure.count = Number(env.MOCK_FAILURE_COUNT);
+      }
+      if (env.MOCK_FAILURE_RATE) {
+        options.failure.rate = Number(env.MOCK_FAILURE_RATE);
+      }
+    }
+    if (env.MOCK_MALFORMED_JSON)
+      options.malformedJson = env.MOCK_MALFORMED_JSON;
+
+    return options;
+  }
+
   static createDefaultProvider() {
     const config = this.loadConfig();
     const defaultType = process.env.PROVIDER || config.defaultProvider;
     const apiKey = this.getApiKey(defaultType);
 
-    if (!apiKey && defaultType !== 'mock') {
+    if (!apiKey && this.requiresApiKey(defaultType)) {
       console.warn(
         `No API key found for ${defaultType}, falling back to mock provider`
       );
@@ -83,10 +150,45 @@ class ProviderFactory {
         return process.env.ANTHROPIC_API_KEY;
       case 'gemini':
         return process.env.GEMINI_API_KEY;
-      default:
-        return null;
+      default: {
+        // Named endpoints may read an optional key from a configured
+        // environment variable ("apiKeyEnv"); local servers need none
+        const config = this.loadConfig();
+        const providerConfig = config.providers[providerType?.toLowerCase()];
+        return (
+          (providerConfig?.apiKeyEnv &&
+            process.env[providerConfig.apiKeyEnv]) ||
+          null
+        );
+      }
     }
   }
+
+  // Summaries of the built-in and configured providers
+  static listProviders() {
+    const config = this.loadConfig();
+    const names = new Set([
+      'mock',
+      'openai',
+      'anthropic',
+      'gemini',
+      'replay',
+      ...Object.keys(config.providers),
+    ]);
+
+    return Array.from(names).map((name) => {
+      const providerConfig = config.providers[name] || {};
+      return {
+        name,
+        type: this.resolveType(name),
+        model: providerConfig.model || null,
+        models: providerConfig.models || [],
+        baseURL: providerConfig.baseURL || null,
+        available: !this.requiresApiKey(name) || Boolean(this.getApiKey(name)),
+        default: name === (process.env.PROVIDER || config.defaultProvider),
+      };
+    });
+  }
 }
 
 export default ProviderFactory;
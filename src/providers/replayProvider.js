@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Provider, normalizeMessages } from './provider.base.js';
+import { SPOTError } from '../utils/errorHandling.js';
+
+const MODES = ['record', 'replay', 'auto'];
+
+/**
+ * Cassette-style provider for deterministic tests and evaluations.
+ *
+ * Wraps a real provider and stores one JSON cassette per request, keyed by
+ * a hash of the messages and generation options:
+ *   record - always call the real provider and save the response
+ *   replay - serve saved responses only; a cache miss is an error
+ *   auto   - replay when a cassette exists, otherwise record
+ */
+class ReplayProvider extends Provider {
+  constructor(options = {}) {
+    super();
+    this.name = 'replay';
+    this.mode = options.mode || 'replay';
+    this.cassetteDir = path.resolve(
+      options.cassetteDir || 'golden_set/cassettes'
+    );
+    this.target = options.target || null;
+    // Function that creates the wrapped provider. It is only called when a
+    // request has to be recorded, so replay mode never needs API keys.
+    this.createTarget = options.createTarget || null;
+    this.targetProvider = null;
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(
+        `Invalid replay mode: ${this.mode}. Supported modes: ${MODES.join(
+          ', '
+        )}`
+      );
+    }
+  }
+
+  // Only options that change the response are part of the key
+  cassetteKey(prompt, options = {}) {
+    const request = {
+      messages: normalizeMessages(prompt),
+      model: options.model || null,
+      maxTokens: options.maxTokens || null,
+      temperature: options.temperature ?? null,
+      responseFormat: options.responseFormat?.type || null,
+    };
+
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify(request))
+      .digest('hex');
+
+    return { hash, request };
+  }
+
+  cassettePath(hash) {
+    return path.join(this.cassetteDir, `${hash}.json`);
+  }
+
+  loadCassette(hash) {
+    const file = this.cassettePath(hash);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  saveCassette(hash, request, response) {
+    fs.mkdirSync(this.cassetteDir, { recursive: true });
+    const cassette = {
+      key: hash,
+      provider: this.getTarget().name || this.target,
+      recordedAt: new Date().toISOString(),
+      request,
+      response,
+    };
+    fs.writeFileSync(
+      this.cassettePath(hash),
+      JSON.stringify(cassette, null, 2) + '\n'
+    );
+  }
+
+  getTarget() {
+    if (!this.targetProvider) {
+      if (!this.createTarget) {
+        throw new Error('No target provider configured for recording');
+      }
+      this.targetProvider = this.createTarget();
+    }
+    return this.targetProvider;
+  }
+
+  // Returns the saved response, or null if the request should be recorded
+  lookup(hash, request) {
+    if (this.mode === 'record') return null;
+
+    const cassette = this.loadCassette(hash);
+    if (cassette) return cassette.response;
+
+    if (this.mode === 'replay') {
+      throw new SPOTError(
+        `Cassette miss: no recorded response for request ${hash.slice(
+          0,
+          12
+        )} in ${this.cassetteDir}. Re-record with REPLAY_MODE=record.`,
+        'CASSETTE_MISS',
+        { key: hash, cassetteDir: this.cassetteDir, request }
+      );
+    }
+
+    return null;
+  }
+
+  async generate(prompt, options = {}) {
+    const { hash, request } = this.cassetteKey(prompt, options);
+    const cached = this.lookup(hash, request);
+    if (cached) return cached;
+
+    const { text, usage, model } = await this.getTarget().generate(
+      prompt,
+      options
+    );
+    const response = { text, usage, model };
+    this.saveCassette(hash, request, response);
+    return response;
+  }
+
+  async generateText(prompt, options = {}) {
+    return (await this.generate(prompt, options)).text;
+  }
+
+  // Replayed responses are yielded as a single chunk; recorded streams are
+  // passed through and saved once complete
+  async *streamText(prompt, options = {}) {
+    const { hash, request } = this.cassetteKey(prompt, options);
+    const cached = this.lookup(hash, request);
+    if (cached) {
+      options.onUsage?.(cached.usage, cached.model);
+      yield cached.text;
+      return;
+    }
+
+    let text = '';
+    let usage = null;
+    let model = options.model || null;
+    const stream = this.getTarget().streamText(prompt, {
+      ...options,
+      onUsage: (streamUsage, streamModel) => {
+        usage = streamUsage;
+        model = streamModel || model;
+        options.onUsage?.(streamUsage, streamModel);
+      },
+    });
+
+    for await (const chunk of stream) {
+      text += chunk;
+      yield chunk;
+    }
+
+    this.saveCassette(hash, request, { text, usage, model });
+  }
+}
+
+export default ReplayProvider;
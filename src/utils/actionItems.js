@@ -0,0 +1,371 @@
+/**
+ * Action Item Post-Processing
+ *
+ * Normalizes the actions[] of a grounded summary: due dates such as
+ * "Aug 20", "8/20", "tomorrow" or "next Friday" become YYYY-MM-DD relative
+ * to the meeting date, and owners are matched against the transcript's
+ * speakers. Actions can be exported as iCalendar to-dos (VTODO) or CSV.
+ */
+
+import crypto from 'crypto';
+import { ValidationError } from './errorHandling.js';
+import { parseTranscript } from './transcript.js';
+
+const MONTHS = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec',
+];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates are calendar days, so all arithmetic is done in UTC
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month &&
+    date.getUTCDate() === day
+    ? date
+    : null;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 86400000);
+}
+
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function parseMeetingDate(value = new Date()) {
+  if (value instanceof Date) {
+    return utcDate(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? utcDate(+match[1], match[2] - 1, +match[3]) : null;
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+// A date without a year is the next one on or after the meeting
+function withYear(month, day, year, reference) {
+  if (year) return utcDate(year < 100 ? 2000 + year : year, month, day);
+
+  const date = utcDate(reference.getUTCFullYear(), month, day);
+  if (!date || date >= reference) return date;
+  return utcDate(reference.getUTCFullYear() + 1, month, day);
+}
+
+// The weekday on or after the meeting ("Friday" said on a Friday is that
+// day); "next <weekday>" skips to the following week
+function nextWeekday(reference, weekday, skipWeek) {
+  const days = (weekday - reference.getUTCDay() + 7) % 7;
+  return addDays(reference, skipWeek ? days + 7 : days);
+}
+
+function parseDueDate(text, reference) {
+  const value = text
+    .toLowerCase()
+    .replace(/^(by|before|due|on|until)\s+/, '')
+    .replace(/(\d)(st|nd|rd|th)\b/g, '$1')
+    .replace(/,/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  let match;
+
+  if (ISO_DATE.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return utcDate(year, month - 1, day);
+  }
+  if ((match = value.match(/^(\d{4}-\d{2}-\d{2})t/))) {
+    return parseDueDate(match[1], reference);
+  }
+  if (value === 'today' || value === 'eod' || value === 'end of day') {
+    return reference;
+  }
+  if (value === 'tomorrow') return addDays(reference, 1);
+  if ((match = value.match(/^in (\d+) (day|week)s?$/))) {
+    return addDays(reference, match[1] * (match[2] === 'week' ? 7 : 1));
+  }
+  if (value === 'next week') return addDays(reference, 7);
+  if (value === 'end of week' || value === 'eow' || value === 'this week') {
+    return nextWeekday(reference, 5, false);
+  }
+  if ((match = value.match(/^(this |next )?([a-z]+)$/))) {
+    const weekday = WEEKDAYS.indexOf(match[2].slice(0, 3));
+    if (weekday !== -1 && match[2].length >= 3) {
+      return nextWeekday(reference, weekday, match[1] === 'next ');
+    }
+  }
+  // "Aug 20", "August 20 2025"
+  if ((match = value.match(/^([a-z]+)\.? (\d{1,2})(?: (\d{2,4}))?$/))) {
+    const month = monthIndex(match[1]);
+    if (month !== -1) return withYear(month, +match[2], +match[3], reference);
+  }
+  // "20 Aug", "20 August 2025"
+  if ((match = value.match(/^(\d{1,2}) ([a-z]+)\.?(?: (\d{2,4}))?$/))) {
+    const month = monthIndex(match[2]);
+    if (month !== -1) return withYear(month, +match[1], +match[3], reference);
+  }
+  // US style "8/20" or "8/20/2025"
+  if ((match = value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) {
+    return withYear(match[1] - 1, +match[2], +match[3], reference);
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a due date to YYYY-MM-DD relative to the meeting date.
+ * Returns { due, status } with status 'valid' (already YYYY-MM-DD),
+ * 'normalized', 'missing' or 'invalid' (due is then the original text).
+ */
+export function normalizeDueDate(value, meetingDate = new Date()) {
+  const text = String(value ?? '').trim();
+  if (!text || /^y{4}-m{2}-d{2}$/i.test(text)) {
+    return { due: null, status: 'missing' };
+  }
+
+  const reference = parseMeetingDate(meetingDate);
+  const date = reference && parseDueDate(text, reference);
+  if (!date) return { due: text, status: 'invalid' };
+
+  const due = formatDate(date);
+  return { due, status: due === text ? 'valid' : 'normalized' };
+}
+
+// Speaker labels like "Mike Rodriguez (CTO)" are matched without the role
+function speakerName(label) {
+  return label.replace(/\s*\(.*?\)\s*/g, ' ').trim();
+}
+
+export function speakersOf(transcript) {
+  const lines =
+    typeof transcript === 'string' ? parseTranscript(transcript) : transcript;
+  return Array.from(
+    new Set(
+      lines
+        .filter((line) => line.speaker)
+        .map((line) => speakerName(line.speaker))
+    )
+  );
+}
+
+/**
+ * Match an owner against the speakers: a full name, or a first or last
+ * name that identifies a single speaker ("Bob", "Chen"). Returns
+ * { owner, status } with status 'valid', 'unknown', 'ambiguous' or
+ * 'missing'; valid owners use the speaker's name from the transcript.
+ */
+export function matchOwner(owner, speakers) {
+  const name = String(owner ?? '').trim();
+  if (!name) return { owner: null, status: 'missing' };
+
+  const lower = name.toLowerCase();
+  const exact = speakers.find((speaker) => speaker.toLowerCase() === lower);
+  if (exact) return { owner: exact, status: 'valid' };
+
+  const partial = speakers.filter((speaker) =>
+    speaker
+      .toLowerCase()
+      .split(/\s+/)
+      .some((part) => part.replace(/\.$/, '') === lower)
+  );
+  if (partial.length === 1) return { owner: partial[0], status: 'valid' };
+  return { owner: name, status: partial.length > 1 ? 'ambiguous' : 'unknown' };
+}
+
+const OWNER_ISSUES = {
+  missing: () => 'has no owner',
+  unknown: (owner) => `owner "${owner}" is not a speaker in the transcript`,
+  ambiguous: (owner) => `owner "${owner}" matches more than one speaker`,
+};
+const DUE_ISSUES = {
+  missing: () => 'has no due date',
+  invalid: (due) => `due date "${due}" is not a recognizable date`,
+};
+
+/**
+ * Normalize a summary's actions. options: { transcript, meetingDate }
+ * (meetingDate defaults to today). Owners are only matched when the
+ * transcript has speaker labels. Returns { meetingDate, speakers, actions, issues }, where each
+ * action keeps its fields with owner and due normalized and each issue is
+ * { path, field, type, message }. Actions that are not objects are skipped
+ * and reported as invalid.
+ */
+export function processActionItems(actions = [], options = {}) {
+  const meetingDate = parseMeetingDate(options.meetingDate);
+  if (!meetingDate) {
+    throw new ValidationError(
+      `Invalid meeting date: ${options.meetingDate}. Use YYYY-MM-DD`,
+      'meeting_date',
+      options.meetingDate
+    );
+  }
+  const speakers = options.transcript ? speakersOf(options.transcript) : [];
+  const issues = [];
+  const normalized = [];
+
+  if (!Array.isArray(actions)) {
+    issues.push({
+      path: 'actions',
+      field: 'actions',
+      type: 'invalid',
+      message: 'actions is not a list',
+    });
+  }
+
+  (Array.isArray(actions) ? actions : []).forEach((action, index) => {
+    const path = `actions[${index}]`;
+    if (!action || typeof action !== 'object' || Array.isArray(action)) {
+      issues.push({
+        path,
+        field: 'action',
+        type: 'invalid',
+        message: `${path} is not an object and was skipped`,
+      });
+      return;
+    }
+
+    const due = normalizeDueDate(action.due, options.meetingDate);
+    const owner =
+      speakers.length > 0
+        ? matchOwner(action.owner, speakers)
+        : {
+            owner: action.owner || null,
+            status: action.owner ? 'valid' : 'missing',
+          };
+
+    if (OWNER_ISSUES[owner.status]) {
+      issues.push({
+        path,
+        field: 'owner',
+        type: owner.status,
+        message: `${path} ${OWNER_ISSUES[owner.status](owner.owner)}`,
+      });
+    }
+    if (DUE_ISSUES[due.status]) {
+      issues.push({
+        path,
+        field: 'due',
+        type: due.status,
+        message: `${path} ${DUE_ISSUES[due.status](due.due)}`,
+      });
+    }
+
+    normalized.push({ ...action, owner: owner.owner, due: due.due });
+  });
+
+  return {
+    meetingDate: formatDate(meetingDate),
+    speakers,
+    actions: normalized,
+    issues,
+  };
+}
+
+// source_refs as a list, whether the model gave a list, one string or none
+function sourceRefsOf(action) {
+  const refs = action.source_refs ?? [];
+  return (Array.isArray(refs) ? refs : [refs]).map(String);
+}
+
+// RFC 5545 text escaping and 75-octet line folding
+function icsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * iCalendar file with one VTODO per action. Owners and source_refs go in
+ * the description; actions without a valid due date have no DUE.
+ */
+export function actionsToICS(actions, options = {}) {
+  const stamp = (options.now || new Date())
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SPOT Toolkit//Action Items//EN',
+  ];
+  if (options.name) lines.push(`X-WR-CALNAME:${icsText(options.name)}`);
+
+  for (const action of actions) {
+    const uid = crypto
+      .createHash('sha1')
+      .update(JSON.stringify([action.text, action.owner, action.due]))
+      .digest('hex');
+    const refs = sourceRefsOf(action);
+    const description = [
+      action.owner && `Owner: ${action.owner}`,
+      refs.length > 0 && `Sources: ${refs.join(', ')}`,
+    ]
+      .filter(Boolean)
+      .join('\n');
+
+    lines.push('BEGIN:VTODO', `UID:${uid}@spot-toolkit`, `DTSTAMP:${stamp}`);
+    lines.push(`SUMMARY:${icsText(action.text)}`);
+    if (ISO_DATE.test(action.due || '')) {
+      lines.push(`DUE;VALUE=DATE:${action.due.replace(/-/g, '')}`);
+    }
+    if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+    lines.push('STATUS:NEEDS-ACTION', 'END:VTODO');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with owner, due, text and source_refs columns (refs joined with "; ")
+export function actionsToCSV(actions) {
+  const rows = [
+    ['owner', 'due', 'text', 'source_refs'],
+    ...actions.map((action) => [
+      action.owner,
+      action.due,
+      action.text,
+      sourceRefsOf(action).join('; '),
+    ]),
+  ];
+  return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,208 @@
+/**
+ * Context Windows and Chunking
+ *
+ * Looks up each model's context window (configs/providers.json), estimates
+ * prompt size, and splits long sources for map-reduce generation.
+ * Transcripts split on timestamp lines and articles on Markdown headings,
+ * so each chunk keeps whole segments and the citations inside them. Chunk
+ * outputs are merged structurally: lists are concatenated in source order,
+ * and entries repeated across chunks are merged into one.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { estimateTokens } from './usage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Used for models missing from the contextWindows table
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+export const CHUNK_BOUNDARIES = ['timestamp', 'heading', 'paragraph'];
+
+// Segment start patterns: "[00:13:22] Speaker" / "00:13:22 Speaker" lines,
+// and "## Heading" lines
+const BOUNDARY_PATTERNS = {
+  timestamp: /^\s*\[?\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d+)?\]?(?=\s|$)/,
+  heading: /^#{1,6}\s/,
+};
+
+function loadProviderConfig() {
+  try {
+    const configPath = path.join(__dirname, '../../configs/providers.json');
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Context window in tokens for a model. A provider's own "contextWindow"
+ * setting wins; otherwise the contextWindows table is matched by the
+ * longest model name prefix, like pricing (gpt-4o-2024-08-06 -> gpt-4o).
+ */
+export function contextWindowFor(
+  model,
+  providerName,
+  config = loadProviderConfig()
+) {
+  const providerWindow = config.providers?.[providerName]?.contextWindow;
+  if (providerWindow) return providerWindow;
+
+  const windows = config.contextWindows || {};
+  const key = Object.keys(windows)
+    .filter((name) => model === name || model?.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? windows[key] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// Estimated prompt tokens, with a small allowance per message for roles
+// and formatting
+export function estimatePromptTokens(messages) {
+  if (typeof messages === 'string') return estimateTokens(messages);
+  return messages.reduce(
+    (sum, message) => sum + estimateTokens(message.content) + 4,
+    0
+  );
+}
+
+// Split text before every line that matches the pattern
+function splitBefore(text, pattern) {
+  const segments = [];
+  let current = [];
+
+  for (const line of text.split('\n')) {
+    if (pattern.test(line) && current.join('').trim()) {
+      segments.push(current.join('\n'));
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.join('').trim()) segments.push(current.join('\n'));
+
+  return segments;
+}
+
+// Break a segment that is larger than a chunk: by paragraph, then line,
+// then sentence, and finally by length
+function splitOversized(segment, maxTokens) {
+  if (estimateTokens(segment) <= maxTokens) return [segment];
+
+  const separators = [
+    [/\n\s*\n/, '\n\n'],
+    [/\n/, '\n'],
+    [/(?<=[.!?])\s+/, ' '],
+  ];
+  for (const [separator, joiner] of separators) {
+    const parts = segment.split(separator).filter((part) => part.trim());
+    if (parts.length > 1) return packSegments(parts, maxTokens, joiner);
+  }
+
+  const size = maxTokens * 4;
+  const pieces = [];
+  for (let i = 0; i < segment.length; i += size) {
+    pieces.push(segment.slice(i, i + size));
+  }
+  return pieces;
+}
+
+// Greedily pack consecutive segments into chunks of at most maxTokens
+function packSegments(segments, maxTokens, joiner) {
+  const chunks = [];
+  let current = '';
+
+  for (const segment of segments.flatMap((s) => splitOversized(s, maxTokens))) {
+    const candidate = current ? `${current}${joiner}${segment}` : segment;
+    if (current && estimateTokens(candidate) > maxTokens) {
+      chunks.push(current);
+      current = segment;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Split text into chunks of at most maxTokens (estimated), cutting only at
+ * the given boundary when possible: 'timestamp', 'heading' or 'paragraph'.
+ * Text without any boundary markers falls back to paragraphs.
+ */
+export function splitIntoChunks(text, options = {}) {
+  const { boundary = 'paragraph', maxTokens } = options;
+  if (!maxTokens || estimateTokens(text) <= maxTokens) return [text];
+
+  const pattern = BOUNDARY_PATTERNS[boundary];
+  const segments = pattern
+    ? splitBefore(text, pattern)
+    : text.split(/\n\s*\n/).filter((part) => part.trim());
+
+  if (pattern && segments.length < 2) {
+    return splitIntoChunks(text, { maxTokens, boundary: 'paragraph' });
+  }
+  return packSegments(segments, maxTokens, pattern ? '\n' : '\n\n');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Key used to spot the same entry in two chunks: strings by value, and
+// objects such as summary items and actions by their normalized "text"
+function entryKey(entry) {
+  const text = isPlainObject(entry) ? entry.text : entry;
+  if (typeof text !== 'string') return undefined;
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Concatenate two lists, merging entries that repeat an earlier one so a
+// point made in several chunks appears once with all of its source_refs
+function mergeLists(a, b) {
+  const merged = [...a];
+  const positions = new Map();
+  a.forEach((entry, index) => {
+    const key = entryKey(entry);
+    if (key && !positions.has(key)) positions.set(key, index);
+  });
+
+  for (const entry of b) {
+    const key = entryKey(entry);
+    if (key && positions.has(key)) {
+      const index = positions.get(key);
+      merged[index] = mergeValues(merged[index], entry);
+    } else {
+      if (key) positions.set(key, merged.length);
+      merged.push(entry);
+    }
+  }
+  return merged;
+}
+
+function mergeValues(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) return mergeLists(a, b);
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const merged = { ...a };
+    for (const [key, value] of Object.entries(b)) {
+      merged[key] = key in a ? mergeValues(a[key], value) : value;
+    }
+    return merged;
+  }
+  // Scalars (e.g. "mode") keep the first chunk's value
+  return a === undefined || a === null || a === '' ? b : a;
+}
+
+/**
+ * Merge the parsed outputs of consecutive chunks: lists are concatenated
+ * in order (so items keep their source_refs) with repeated entries merged,
+ * objects merge key by key, and other values keep the first chunk's value
+ */
+export function mergeChunkOutputs(outputs) {
+  return outputs.reduce((merged, output) => mergeValues(merged, output));
+}
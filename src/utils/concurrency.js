@@ -0,0 +1,23 @@
+/**
+ * Concurrency Helpers
+ */
+
+/**
+ * Run fn(item, index) over items with at most `limit` calls in flight.
+ * Resolves to the results in item order; rejects with the first error.
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker)
+  );
+  return results;
+}
@@ -7,11 +7,17 @@
 import fs from 'fs';
 import path from 'path';
 import { ValidationError } from './errorHandling.js';
+import { logger } from './observability.js';
+import { FileWatcher } from './fileWatcher.js';
+import { STYLE_PACK_PATH } from './prompting.js';
 
 export class ConfigManager {
   constructor(configDir = './configs') {
     this.configDir = configDir;
     this.cache = new Map();
+    // Where each loaded config came from, so watch mode can reload it
+    this.sources = new Map();
+    this.watcher = null;
     this.config = {};
   }
 
@@ -54,13 +60,29 @@ export class ConfigManager {
     return value;
   }
 
-  async loadConfig(configName, schema = null) {
+  async loadConfig(
+    configName,
+    schema = null,
+    configPath = path.join(this.configDir, `${configName}.json`)
+  ) {
     if (this.cache.has(configName)) {
       return this.cache.get(configName);
     }
 
-    const configPath = path.join(this.configDir, `${configName}.json`);
+    this.sources.set(configName, { configPath, schema });
+    this.watcher?.watch(path.dirname(configPath));
 
+    const config = this.readConfig(configName, schema, configPath);
+    this.cache.set(configName, config);
+    return config;
+  }
+
+  // Style pack rules (style/stylepack.json), cached like other configs
+  async loadStylePack() {
+    return this.loadConfig('stylepack', STYLE_CONFIG_SCHEMA, STYLE_PACK_PATH);
+  }
+
+  readConfig(configName, schema, configPath) {
     try {
       const configData = fs.readFileSync(configPath, 'utf8');
       const config = JSON.parse(configData);
@@ -69,9 +91,11 @@ export class ConfigManager {
         this.validateConfig(config, schema, configName);
       }
 
-      this.cache.set(configName, config);
       return config;
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       if (error.code === 'ENOENT') {
         throw new ValidationError(
           `Configuration file not found: ${configName}.json`,
@@ -175,6 +199,60 @@ export class ConfigManager {
     current[keys[keys.length - 1]] = value;
   }
 
+  /**
+   * Re-read a loaded config. An invalid or missing file is logged and the
+   * last good version stays cached. Returns true when the config reloaded.
+   */
+  reloadConfig(configName) {
+    const source = this.sources.get(configName);
+    if (!source) return false;
+
+    try {
+      const config = this.readConfig(
+        configName,
+        source.schema,
+        source.configPath
+      );
+      this.cache.set(configName, config);
+      logger.info('Reloaded configuration', {
+        config: configName,
+        path: source.configPath,
+      });
+      return true;
+    } catch (error) {
+      logger.error('Configuration reload failed; keeping last good version', {
+        config: configName,
+        path: source.configPath,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  // Reload configs (and the style pack) when their files change
+  watch(options = {}) {
+    if (this.watcher) return this;
+
+    this.watcher = new FileWatcher((file) => {
+      for (const [configName, source] of this.sources) {
+        if (path.resolve(source.configPath) === file) {
+          this.reloadConfig(configName);
+        }
+      }
+    }, options);
+
+    this.watcher.watch(this.configDir);
+    for (const { configPath } of this.sources.values()) {
+      this.watcher.watch(path.dirname(configPath));
+    }
+    return this;
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
   clearCache() {
     this.cache.clear();
   }
@@ -183,9 +261,10 @@ export class ConfigManager {
 // Configuration schemas
 export const PROVIDER_CONFIG_SCHEMA = {
   defaultProvider: {
+    // A built-in type (openai, anthropic, gemini, mock) or the name of an
+    // entry in providers, e.g. a local OpenAI-compatible endpoint
     required: true,
     type: 'string',
-    enum: ['openai', 'anthropic', 'gemini', 'mock'],
   },
   providers: {
     required: true,
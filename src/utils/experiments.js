@@ -0,0 +1,272 @@
+/**
+ * A/B Experiment Storage and Analysis
+ *
+ * Experiments are persisted to a JSON file (data/experiments.json by
+ * default, or EXPERIMENTS_FILE) so they survive restarts and are shared by
+ * the CLI and the API server. Each arm collects observations of latency,
+ * errors and quality signals, appended one JSON line at a time to a file
+ * per experiment (data/experiments/<id>.jsonl), so recording one never
+ * rewrites the experiment definitions. Analysis compares every arm with
+ * the first (control) template on the experiment's primary metric.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  meanInterval,
+  proportionInterval,
+  twoProportionZTest,
+  welchTTest,
+} from './statistics.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_EXPERIMENTS_FILE = path.resolve(
+  __dirname,
+  '../../data/experiments.json'
+);
+
+// Observation field, statistic and preferred direction for each metric
+export const EXPERIMENT_METRICS = {
+  evalScore: { field: 'score', type: 'mean', higherIsBetter: true },
+  lintPassRate: { field: 'lintPass', type: 'proportion', higherIsBetter: true },
+  schemaValidRate: {
+    field: 'schemaValid',
+    type: 'proportion',
+    higherIsBetter: true,
+  },
+  errorRate: { field: 'error', type: 'proportion', higherIsBetter: false },
+  latency: { field: 'latency', type: 'mean', higherIsBetter: false },
+};
+
+export class ExperimentStore {
+  constructor(file = DEFAULT_EXPERIMENTS_FILE) {
+    this.file = file;
+    this.experiments = new Map();
+    this.loadedAt = null;
+  }
+
+  // Re-read the file when another process (CLI or API server) changed it
+  refresh() {
+    if (!fs.existsSync(this.file)) return;
+
+    const modified = fs.statSync(this.file).mtimeMs;
+    if (modified === this.loadedAt) return;
+
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.experiments = new Map(
+      (data.experiments || []).map((experiment) => [experiment.id, experiment])
+    );
+    this.loadedAt = modified;
+  }
+
+  get(experimentId) {
+    this.refresh();
+    return this.experiments.get(experimentId) || null;
+  }
+
+  list() {
+    this.refresh();
+    return Array.from(this.experiments.values());
+  }
+
+  set(experiment) {
+    this.experiments.set(experiment.id, experiment);
+    this.save();
+    return experiment;
+  }
+
+  // data/experiments.json -> data/experiments/<id>.jsonl
+  observationsFile(experimentId) {
+    return path.join(
+      path.dirname(this.file),
+      path.basename(this.file, '.json'),
+      `${experimentId}.jsonl`
+    );
+  }
+
+  async appendObservation(experimentId, observation) {
+    const file = this.observationsFile(experimentId);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, JSON.stringify(observation) + '\n');
+  }
+
+  // Observations in the order they were recorded. Experiments saved before
+  // observations moved to their own file keep theirs inline; a line cut
+  // short by a crash is skipped.
+  observations(experimentId) {
+    const inline = this.get(experimentId)?.observations || [];
+    const file = this.observationsFile(experimentId);
+    if (!fs.existsSync(file)) return inline;
+
+    const recorded = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        recorded.push(JSON.parse(line));
+      } catch {
+        // Partial line
+      }
+    }
+    return [...inline, ...recorded];
+  }
+
+  // Drop observations left from an earlier experiment with the same id
+  clearObservations(experimentId) {
+    fs.rmSync(this.observationsFile(experimentId), { force: true });
+  }
+
+  // Write to a temporary file first so a crash never leaves a partial file
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(
+      temporary,
+      JSON.stringify(
+        { experiments: Array.from(this.experiments.values()) },
+        null,
+        2
+      ) + '\n'
+    );
+    fs.renameSync(temporary, this.file);
+    this.loadedAt = fs.statSync(this.file).mtimeMs;
+  }
+}
+
+function observedValues(observations, field) {
+  return observations
+    .map((observation) => observation[field])
+    .filter((value) => value !== undefined && value !== null);
+}
+
+function summarizeMetric(observations, metric, confidence) {
+  const values = observedValues(observations, metric.field);
+
+  if (metric.type === 'proportion') {
+    const successes = values.filter(Boolean).length;
+    return proportionInterval(successes, values.length, confidence);
+  }
+  return meanInterval(values, confidence);
+}
+
+function compareArms(control, arm, metric) {
+  const a = observedValues(arm, metric.field);
+  const b = observedValues(control, metric.field);
+
+  if (metric.type === 'proportion') {
+    return twoProportionZTest(
+      a.filter(Boolean).length,
+      a.length,
+      b.filter(Boolean).length,
+      b.length
+    );
+  }
+  return welchTTest(a, b);
+}
+
+function metricValue(summary) {
+  return summary.rate !== undefined ? summary.rate : summary.mean;
+}
+
+/**
+ * Per-arm results with confidence intervals, significance tests against
+ * the control arm on the primary metric, and the winner: the best arm that
+ * is significantly better than the control, or the control when every
+ * other arm is significantly worse. Null until then.
+ */
+export function analyzeExperiment(experiment, options = {}) {
+  const confidence = options.confidence ?? 0.95;
+  const alpha = experiment.alpha ?? 0.05;
+  const metricName = experiment.metric || 'evalScore';
+  const metric = EXPERIMENT_METRICS[metricName];
+  const [controlId] = experiment.templates;
+
+  const byArm = Object.fromEntries(
+    experiment.templates.map((templateId) => [templateId, []])
+  );
+  for (const observation of experiment.observations || []) {
+    byArm[observation.templateId]?.push(observation);
+  }
+
+  const arms = {};
+  for (const [templateId, observations] of Object.entries(byArm)) {
+    const generations = observations.filter(
+      (observation) => observation.error !== undefined
+    );
+    const latencies = observedValues(generations, 'latency').sort(
+      (a, b) => a - b
+    );
+
+    arms[templateId] = {
+      sampleSize: generations.length,
+      metrics: Object.fromEntries(
+        Object.entries(EXPERIMENT_METRICS).map(([name, definition]) => [
+          name,
+          summarizeMetric(observations, definition, confidence),
+        ])
+      ),
+      p95Latency:
+        latencies.length > 0
+          ? latencies[Math.max(0, Math.ceil(latencies.length * 0.95) - 1)]
+          : null,
+    };
+  }
+
+  const comparisons = experiment.templates.slice(1).map((templateId) => {
+    const test = compareArms(byArm[controlId], byArm[templateId], metric);
+    const armValue = metricValue(arms[templateId].metrics[metricName]);
+    const controlValue = metricValue(arms[controlId].metrics[metricName]);
+
+    return {
+      templateId,
+      control: controlId,
+      metric: metricName,
+      difference:
+        armValue === null || controlValue === null
+          ? null
+          : armValue - controlValue,
+      pValue: test?.pValue ?? null,
+      significant: test ? test.pValue < alpha : false,
+    };
+  });
+
+  return {
+    metric: metricName,
+    alpha,
+    confidence,
+    arms,
+    comparisons,
+    winner: pickWinner(comparisons, controlId, metric),
+  };
+}
+
+// An arm wins when it is significantly better than the control; the
+// control wins when every other arm is significantly worse
+function pickWinner(comparisons, controlId, metric) {
+  if (comparisons.length === 0) return null;
+
+  const better = (comparison) =>
+    metric.higherIsBetter
+      ? comparison.difference > 0
+      : comparison.difference < 0;
+
+  const winners = comparisons
+    .filter((comparison) => comparison.significant && better(comparison))
+    .sort((a, b) =>
+      metric.higherIsBetter
+        ? b.difference - a.difference
+        : a.difference - b.difference
+    );
+  if (winners.length > 0) return winners[0].templateId;
+
+  const controlWins = comparisons.every(
+    (comparison) =>
+      comparison.significant &&
+      comparison.difference !== null &&
+      !better(comparison) &&
+      comparison.difference !== 0
+  );
+  return controlWins ? controlId : null;
+}
@@ -0,0 +1,131 @@
+/**
+ * Few-Shot Examples
+ *
+ * Templates can carry worked examples in "examples". Each example is either
+ * inline ({ input, output }) or a golden-set pair ({ input_file,
+ * output_file }, relative to the project root and inside golden_set/).
+ * Examples are rendered as
+ * prior user/assistant turns: the template's user prompt filled with the
+ * example input, answered by the example output.
+ *
+ * The examples most similar to the current input are chosen first, as many
+ * as fit the template's "example_token_budget".
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './errorHandling.js';
+import { estimateTokens } from './usage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+
+export const DEFAULT_EXAMPLE_TOKEN_BUDGET = 1500;
+
+function readExampleFile(file, baseDir) {
+  // Templates can be created through the API, so example files are kept
+  // to the golden set
+  const goldenSet = path.resolve(baseDir, 'golden_set');
+  const filePath = path.resolve(baseDir, String(file));
+  const relative = path.relative(goldenSet, filePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new ValidationError(
+      `Example file must be inside golden_set/: ${file}`,
+      'template_examples',
+      file
+    );
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new ValidationError(
+      `Example file not found: ${file}`,
+      'template_examples',
+      file
+    );
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (path.extname(filePath) !== '.json') return text;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(
+      `Invalid JSON in example file ${file}: ${error.message}`,
+      'template_examples',
+      file
+    );
+  }
+}
+
+/**
+ * The template's examples as { input, output } pairs, with golden-set
+ * files read and object outputs serialized as JSON
+ */
+export function loadExamples(template, options = {}) {
+  const baseDir = options.baseDir || PROJECT_ROOT;
+
+  return (template.examples || []).map((example) => {
+    const input = example.input_file
+      ? readExampleFile(example.input_file, baseDir)
+      : example.input;
+    const output = example.output_file
+      ? readExampleFile(example.output_file, baseDir)
+      : example.output;
+
+    return {
+      input,
+      output:
+        typeof output === 'string' ? output : JSON.stringify(output, null, 2),
+    };
+  });
+}
+
+// Lowercase words of the input fields the template uses
+function wordsOf(input, fields) {
+  const text = fields
+    .map((field) => input?.[field])
+    .filter((value) => value !== undefined && value !== null)
+    .map((value) => (typeof value === 'string' ? value : JSON.stringify(value)))
+    .join(' ')
+    .toLowerCase();
+  return new Set(text.match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+// Jaccard similarity of the two inputs' words
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Pick the examples most relevant to the input that fit the token budget.
+ * Each candidate is { input, output, user }, where user is the rendered
+ * prompt; its cost is the tokens of both turns. Ties keep template order.
+ */
+export function selectExamples(candidates, input, options = {}) {
+  const budget = options.tokenBudget ?? DEFAULT_EXAMPLE_TOKEN_BUDGET;
+  const fields = options.fields || Object.keys(input || {});
+  const inputWords = wordsOf(input, fields);
+
+  const ranked = candidates
+    .map((example, index) => ({
+      example,
+      index,
+      score: similarity(inputWords, wordsOf(example.input, fields)),
+      tokens: estimateTokens(example.user) + estimateTokens(example.output),
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const selected = [];
+  let used = 0;
+  for (const { example, tokens } of ranked) {
+    if (used + tokens > budget) continue;
+    selected.push(example);
+    used += tokens;
+  }
+  return selected;
+}
@@ -0,0 +1,60 @@
+/**
+ * File Watching
+ *
+ * Watches directories for changed files and reports each changed path once
+ * its writes settle. Editors often save in several steps (truncate, write,
+ * rename), so changes are debounced per file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class FileWatcher {
+  constructor(onChange, options = {}) {
+    this.onChange = onChange;
+    this.debounceMs = options.debounceMs ?? 200;
+    this.watchers = new Map();
+    this.pending = new Map();
+  }
+
+  // Watch a directory (not recursive). Missing directories are skipped.
+  watch(directory) {
+    const dir = path.resolve(directory);
+    if (this.watchers.has(dir) || !fs.existsSync(dir)) return this;
+
+    const watcher = fs.watch(dir, (eventType, filename) => {
+      if (filename) this.schedule(path.join(dir, filename.toString()));
+    });
+    watcher.on('error', () => this.unwatch(dir));
+    this.watchers.set(dir, watcher);
+    return this;
+  }
+
+  unwatch(directory) {
+    const dir = path.resolve(directory);
+    this.watchers.get(dir)?.close();
+    this.watchers.delete(dir);
+  }
+
+  schedule(file) {
+    clearTimeout(this.pending.get(file));
+    this.pending.set(
+      file,
+      setTimeout(() => {
+        this.pending.delete(file);
+        this.onChange(file);
+      }, this.debounceMs)
+    );
+  }
+
+  close() {
+    for (const timer of this.pending.values()) clearTimeout(timer);
+    this.pending.clear();
+    for (const dir of Array.from(this.watchers.keys())) this.unwatch(dir);
+  }
+}
+
+// Watch mode is opt-in: SPOT_WATCH=true or --watch on the command line
+export function watchModeEnabled(argv = process.argv) {
+  return process.env.SPOT_WATCH === 'true' || argv.includes('--watch');
+}
@@ -0,0 +1,91 @@
+/**
+ * Template Input Schemas
+ *
+ * Templates declare the shape of their inputs with "input_schema" (a JSON
+ * Schema object). Input is prepared before validation: empty values count
+ * as missing, numeric and boolean strings (from CLI flags or form posts)
+ * are coerced for non-string fields, and schema defaults are filled in.
+ * Templates without a schema fall back to their "inputs" list.
+ */
+
+import { validateSchema } from './schema.js';
+
+function typesOf(schema) {
+  if (!schema.type) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function coerce(value, schema) {
+  const types = typesOf(schema);
+  if (typeof value !== 'string' || types.includes('string')) return value;
+
+  const text = value.trim();
+  if (
+    (types.includes('integer') || types.includes('number')) &&
+    text !== '' &&
+    !Number.isNaN(Number(text))
+  ) {
+    return Number(text);
+  }
+  if (types.includes('boolean') && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+  return value;
+}
+
+function isBlank(value, schema) {
+  return (
+    value === undefined ||
+    value === null ||
+    (value === '' && !typesOf(schema).includes('string'))
+  );
+}
+
+/**
+ * The template's input schema, or one derived from its "inputs" list that
+ * only requires the listed fields to be present
+ */
+export function inputSchemaFor(template) {
+  if (template.input_schema) return template.input_schema;
+
+  const inputs = template.inputs || [];
+  return {
+    type: 'object',
+    properties: Object.fromEntries(inputs.map((field) => [field, {}])),
+    required: inputs,
+  };
+}
+
+/**
+ * Copy of the input with blank values removed, types coerced and defaults
+ * applied. Fields the schema does not describe are kept as they are.
+ */
+export function prepareInput(input = {}, schema = {}) {
+  const prepared = {};
+  const properties = schema.properties || {};
+
+  for (const [field, value] of Object.entries(input)) {
+    const property = properties[field] || {};
+    if (isBlank(value, property)) continue;
+    prepared[field] = coerce(value, property);
+  }
+
+  for (const [field, property] of Object.entries(properties)) {
+    if (prepared[field] === undefined && property.default !== undefined) {
+      prepared[field] = structuredClone(property.default);
+    }
+  }
+
+  return prepared;
+}
+
+/**
+ * Validate prepared input. Returns a list of { field, message } errors,
+ * empty when valid; nested fields use paths like "section.bullets[0]".
+ */
+export function validateInputSchema(input, schema = {}) {
+  return validateSchema(input, schema).map(({ path, message }) => ({
+    field: path.replace(/^\$\.?/, '') || 'input',
+    message,
+  }));
+}
@@ -1,35 +1,130 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { resolveTemplateRef } from './templateResolver.js';
+import { composeTemplate } from './templateInheritance.js';
+import { renderTemplate } from './templateEngine.js';
+import { inputSchemaFor, prepareInput } from './inputSchema.js';
+import { loadExamples, selectExamples } from './fewShot.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export async function loadTemplate(idAndVersion) {
-  // Example: 'draft_scaffold@1.0.0' maps to 'prompts/draft_scaffold@1.0.0.json'
+export const STYLE_PACK_PATH = path.resolve(
+  __dirname,
+  '../../style/stylepack.json'
+);
+
+export async function loadTemplate(templateRef) {
+  // Example: 'draft_scaffold' or 'draft_scaffold@^1' resolves to the locked
+  // or newest matching version, e.g. 'prompts/draft_scaffold@1.0.0.json'
+  const idAndVersion = resolveTemplateRef(templateRef);
   const p = path.resolve(__dirname, `../../prompts/${idAndVersion}.json`);
-  return JSON.parse(fs.readFileSync(p, 'utf8'));
+  return composeTemplate(JSON.parse(fs.readFileSync(p, 'utf8')), {
+    id: idAndVersion,
+  });
 }
 
 export async function loadStylePack() {
-  const p = path.resolve(__dirname, '../../style/stylepack.json');
-  return JSON.parse(fs.readFileSync(p, 'utf8'));
+  return JSON.parse(fs.readFileSync(STYLE_PACK_PATH, 'utf8'));
 }
 
-export function fillPlaceholders(text, data) {
-  return text.replace(/\{(.*?)\}/g, (_, key) => {
-    const v = data[key.trim()];
-    return v !== undefined ? String(v) : `{${key}}`;
-  });
+// Render placeholders, sections and filters (see templateEngine.js).
+// Unknown placeholders are kept verbatim unless options.strict is set.
+export function fillPlaceholders(text, data, options = {}) {
+  return renderTemplate(text, data, options);
+}
+
+// Few-shot examples that fit the template's token budget, most relevant to
+// the input first, each with its rendered user prompt
+function compileExamples(template, data, options) {
+  if (!template.examples?.length) return [];
+
+  const schema = inputSchemaFor(template);
+  const candidates = loadExamples(template).map((example) => ({
+    ...example,
+    user: fillPlaceholders(template.user, prepareInput(example.input, schema)),
+  }));
+
+  return selectExamples(candidates, data, {
+    tokenBudget: options.exampleTokenBudget ?? template.example_token_budget,
+    fields: Object.keys(schema.properties || {}),
+  }).map(({ user, output }) => ({ user, assistant: output }));
 }
 
-export function compilePrompt(template, data, stylePack) {
-  const system = template.system;
-  const user = fillPlaceholders(template.user, data);
+export function compilePrompt(template, data, stylePack, options = {}) {
+  const system = fillPlaceholders(template.system, data, options);
+  const user = fillPlaceholders(template.user, data, options);
+  const guardrails = (template.guardrails || []).map((guardrail) =>
+    fillPlaceholders(guardrail, data, options)
+  );
   return {
     system,
     user,
+    guardrails,
+    examples: compileExamples(template, data, options),
     stylePack,
-    templateMeta: { id: template.id, version: template.version, purpose: template.purpose }
+    templateMeta: {
+      id: template.id,
+      version: template.version,
+      purpose: template.purpose,
+    },
   };
 }
+
+// Style pack rules appended to the system message
+function styleInstructions(stylePack) {
+  if (!stylePack) return [];
+
+  const instructions = [];
+  if (stylePack.brand_voice) {
+    instructions.push(`Brand voice: ${stylePack.brand_voice}`);
+  }
+  if (stylePack.reading_level) {
+    instructions.push(`Target reading level: ${stylePack.reading_level}`);
+  }
+  if (stylePack.must_use && stylePack.must_use.length > 0) {
+    instructions.push(`Must use these terms: ${stylePack.must_use.join(', ')}`);
+  }
+  if (stylePack.must_avoid && stylePack.must_avoid.length > 0) {
+    instructions.push(`Avoid these terms: ${stylePack.must_avoid.join(', ')}`);
+  }
+  return instructions;
+}
+
+// "Heading:\n- item" block, or '' when there are no items
+function instructionList(heading, items = []) {
+  return items.length > 0
+    ? `\n\n${heading}:\n${items.map((s) => `- ${s}`).join('\n')}`
+    : '';
+}
+
+/**
+ * Turn a compiled prompt into a provider message list:
+ * a system message (template system prompt plus guardrails and style
+ * requirements), few-shot examples as user/assistant turns, the user
+ * message, then any extra turns (e.g. for multi-turn refinement).
+ */
+export function buildMessages(compiled, history = []) {
+  if (typeof compiled === 'string') {
+    return [{ role: 'user', content: compiled }, ...history];
+  }
+
+  const system =
+    compiled.system +
+    instructionList('Guardrails', compiled.guardrails) +
+    instructionList(
+      'Style requirements',
+      styleInstructions(compiled.stylePack)
+    );
+
+  return [
+    { role: 'system', content: system },
+    ...(compiled.examples || []).flatMap((example) => [
+      { role: 'user', content: example.user },
+      { role: 'assistant', content: example.assistant },
+    ]),
+    { role: 'user', content: compiled.user },
+    ...history,
+  ];
+}
@@ -111,33 +111,9 @@ export class EnhancedProviderManager {
 
     // Try to dynamically create provider using ProviderFactory
     if (providerName) {
-      try {
-        const ProviderFactory = await import('../providers/providerFactory.js');
-        const factory = ProviderFactory.default;
-
-        if (providerName === 'mock') {
-          const provider = factory.createProvider('mock');
-          this.providers.set('mock', provider);
-          return provider;
-        }
-
-        // For other providers, get the API key and create provider
-        const apiKey = factory.getApiKey(providerName);
-        if (apiKey) {
-          const provider = factory.createProvider(providerName, apiKey);
-          this.providers.set(providerName, provider);
-          this.circuitBreakers.set(providerName, new CircuitBreaker());
-          return provider;
-        } else {
-          logger.warn(`No API key found for provider: ${providerName}`, {
-            provider: providerName,
-          });
-        }
-      } catch (error) {
-        logger.error('Failed to create provider dynamically', {
-          provider: providerName,
-          error: error.message,
-        });
+      const provider = await this.createProvider(providerName);
+      if (provider) {
+        return provider;
       }
     }
 
@@ -151,6 +127,78 @@ export class EnhancedProviderManager {
     return new MockProvider.default();
   }
 
+  // Create and register a provider by name (built-in type or a named entry
+  // in configs/providers.json). Returns null if it cannot be created.
+  async createProvider(providerName) {
+    try {
+      const ProviderFactory = await import('../providers/providerFactory.js');
+      const factory = ProviderFactory.default;
+
+      // Keyless providers (mock, local OpenAI-compatible servers) are
+      // created without an API key; others need one
+      const apiKey = factory.getApiKey(providerName);
+      if (!apiKey && factory.requiresApiKey(providerName)) {
+        logger.warn(`No API key found for provider: ${providerName}`, {
+          provider: providerName,
+        });
+        return null;
+      }
+
+      const provider = factory.createProvider(providerName, apiKey);
+      this.providers.set(providerName, provider);
+      this.circuitBreakers.set(providerName, new CircuitBreaker());
+      return provider;
+    } catch (error) {
+      logger.error('Failed to create provider dynamically', {
+        provider: providerName,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  // Built-in and configured providers, with whether each is usable
+  async getAvailableProviders() {
+    const ProviderFactory = await import('../providers/providerFactory.js');
+
+    return ProviderFactory.default.listProviders().map((provider) => ({
+      ...provider,
+      loaded: this.providers.has(provider.name),
+      circuitBreaker: this.circuitBreakers.get(provider.name)?.getState(),
+    }));
+  }
+
+  async checkProviderHealth(providerName) {
+    const provider =
+      this.providers.get(providerName) ||
+      (await this.createProvider(providerName));
+
+    if (!provider) {
+      return {
+        provider: providerName,
+        status: 'unhealthy',
+        error: `Provider not available: ${providerName}`,
+      };
+    }
+
+    try {
+      const start = Date.now();
+      await provider.generateText('Health check', { maxTokens: 10 });
+
+      return {
+        provider: providerName,
+        status: 'healthy',
+        responseTime: Date.now() - start,
+      };
+    } catch (error) {
+      return {
+        provider: providerName,
+        status: 'unhealthy',
+        error: error.message,
+      };
+    }
+  }
+
   setFallbackChain(providerNames) {
     this.fallbackChain = providerNames;
     logger.info('Set provider fallback chain', { chain: providerNames });
@@ -195,7 +243,10 @@ export class EnhancedProviderManager {
   }
 
   async tryProvider(providerName, prompt, options) {
-    const provider = this.providers.get(providerName);
+    // Providers in the fallback chain are created on first use
+    const provider =
+      this.providers.get(providerName) ||
+      (await this.createProvider(providerName));
     const circuitBreaker = this.circuitBreakers.get(providerName);
 
     if (!provider) {
@@ -0,0 +1,114 @@
+/**
+ * Minimal JSON Schema Validator
+ *
+ * Supports the subset of JSON Schema used by template schemas: type, enum,
+ * properties, required, additionalProperties, items, minItems/maxItems,
+ * minLength/maxLength, minimum/maximum and pattern
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of { path, message } errors; empty when valid.
+ */
+export function validateSchema(value, schema = {}, path = '$') {
+  const errors = [];
+  const error = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      error(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    error(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error(
+        schema.minLength === 1
+          ? 'must not be empty'
+          : `must be at least ${schema.minLength} characters`
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      error(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      error(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      error(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      error(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      error(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({
+          path: `${path}.${key}`,
+          message: 'is required',
+        });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(propertyValue, properties[key], `${path}.${key}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: `${path}.${key}`,
+          message: 'is not an allowed property',
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Human-readable error lines, e.g. "$.sections[0].bullets: must have at
+// least 3 items"
+export function formatSchemaErrors(errors) {
+  return errors.map(({ path, message }) => `${path}: ${message}`);
+}
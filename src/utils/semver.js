@@ -0,0 +1,95 @@
+/**
+ * Semantic Version Ranges
+ *
+ * Just enough semver for addressing template versions: exact versions,
+ * partial versions (1, 1.2), caret (^1.2) and tilde (~1.0) ranges, and
+ * latest / *
+ */
+
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+const RANGE_PATTERN = /^([\^~]?)(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?$/;
+
+export function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version));
+  if (!match) return null;
+  return match.slice(1, 4).map(Number);
+}
+
+export function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+export function isValidRange(range) {
+  return parseRange(range) !== null;
+}
+
+/**
+ * Parse a range into an inclusive lower and exclusive upper bound, as
+ * version strings (upper is null for unbounded ranges).
+ */
+function parseRange(range) {
+  const value = String(range ?? '').trim();
+  if (value === '' || value === '*' || value === 'latest') {
+    return { lower: '0.0.0', upper: null };
+  }
+
+  const match = RANGE_PATTERN.exec(value);
+  if (!match) return null;
+
+  const [, operator, majorText, minorText, patchText] = match;
+  const isWildcard = (part) =>
+    part === undefined || part === 'x' || part === '*';
+  const major = Number(majorText);
+  const minor = isWildcard(minorText) ? null : Number(minorText);
+  const patch = isWildcard(patchText) ? null : Number(patchText);
+  const lower = `${major}.${minor ?? 0}.${patch ?? 0}`;
+
+  if (operator === '^') {
+    // Allow changes that keep the left-most non-zero part
+    if (major > 0 || minor === null) {
+      return { lower, upper: `${major + 1}.0.0` };
+    }
+    if (minor > 0 || patch === null) {
+      return { lower, upper: `0.${minor + 1}.0` };
+    }
+    return { lower, upper: `0.0.${patch + 1}` };
+  }
+
+  if (operator === '~' || patch === null) {
+    // Patch-level changes, or any change in the parts left unspecified
+    return minor === null
+      ? { lower, upper: `${major + 1}.0.0` }
+      : { lower, upper: `${major}.${minor + 1}.0` };
+  }
+
+  // Exact version
+  return { lower, upper: `${major}.${minor}.${patch + 1}` };
+}
+
+export function satisfies(version, range) {
+  const bounds = parseRange(range);
+  if (!bounds || !isValidVersion(version)) return false;
+
+  if (compareVersions(version, bounds.lower) < 0) return false;
+  return !bounds.upper || compareVersions(version, bounds.upper) < 0;
+}
+
+// Highest version that satisfies the range, or null
+export function maxSatisfying(versions, range) {
+  return (
+    versions
+      .filter((version) => satisfies(version, range))
+      .sort(compareVersions)
+      .at(-1) || null
+  );
+}
@@ -0,0 +1,206 @@
+/**
+ * Statistics for Experiment Reporting
+ *
+ * Confidence intervals and significance tests used to compare A/B
+ * experiment arms: Welch's t-test for means (scores, latency) and a
+ * two-proportion z-test for rates (lint pass, schema validity, errors).
+ */
+
+export function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Sample variance (n - 1 denominator)
+export function variance(values) {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return (
+    values.reduce((sum, value) => sum + (value - average) ** 2, 0) /
+    (values.length - 1)
+  );
+}
+
+// Abramowitz and Stegun 7.1.26 (absolute error < 1.5e-7)
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return sign * y;
+}
+
+export function normalCdf(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+// Lanczos approximation of ln(Γ(x))
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) series += coefficient / ++y;
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+// Continued fraction for the incomplete beta function
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let term = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + term * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + term / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    term = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + term * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + term / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 3e-12) break;
+  }
+
+  return result;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+// Cumulative distribution of Student's t with df degrees of freedom
+export function tCdf(t, df) {
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+// Invert a monotonic CDF by bisection
+function quantile(cdf, p, low = -100, high = 100) {
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (cdf(middle) < p) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+}
+
+export function normalQuantile(p) {
+  return quantile(normalCdf, p);
+}
+
+export function tQuantile(p, df) {
+  return quantile((t) => tCdf(t, df), p);
+}
+
+/**
+ * Mean with a t-based confidence interval
+ * Returns { n, mean, lower, upper }; bounds are null below two samples.
+ */
+export function meanInterval(values, confidence = 0.95) {
+  const n = values.length;
+  const average = mean(values);
+  if (n < 2) return { n, mean: average, lower: null, upper: null };
+
+  const margin =
+    tQuantile(1 - (1 - confidence) / 2, n - 1) *
+    Math.sqrt(variance(values) / n);
+  return { n, mean: average, lower: average - margin, upper: average + margin };
+}
+
+/**
+ * Proportion with a Wilson score confidence interval
+ * Returns { n, rate, lower, upper }
+ */
+export function proportionInterval(successes, n, confidence = 0.95) {
+  if (n === 0) return { n, rate: null, lower: null, upper: null };
+
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const rate = successes / n;
+  const denominator = 1 + (z * z) / n;
+  const center = (rate + (z * z) / (2 * n)) / denominator;
+  const margin =
+    (z * Math.sqrt((rate * (1 - rate)) / n + (z * z) / (4 * n * n))) /
+    denominator;
+
+  return {
+    n,
+    rate,
+    lower: Math.max(0, center - margin),
+    upper: Math.min(1, center + margin),
+  };
+}
+
+/**
+ * Welch's two-sample t-test (unequal variances), two-sided
+ * Returns { t, df, pValue }, or null with fewer than two samples per group
+ */
+export function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+
+  const varianceA = variance(a) / a.length;
+  const varianceB = variance(b) / b.length;
+  const standardError = Math.sqrt(varianceA + varianceB);
+  const difference = mean(a) - mean(b);
+
+  if (standardError === 0) {
+    return { t: 0, df: a.length + b.length - 2, pValue: difference ? 0 : 1 };
+  }
+
+  const t = difference / standardError;
+  const df =
+    (varianceA + varianceB) ** 2 /
+    (varianceA ** 2 / (a.length - 1) + varianceB ** 2 / (b.length - 1));
+
+  return { t, df, pValue: 2 * (1 - tCdf(Math.abs(t), df)) };
+}
+
+/**
+ * Two-proportion z-test with a pooled standard error, two-sided
+ * Returns { z, pValue }, or null when either group is empty
+ */
+export function twoProportionZTest(successesA, nA, successesB, nB) {
+  if (nA === 0 || nB === 0) return null;
+
+  const pooled = (successesA + successesB) / (nA + nB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / nA + 1 / nB));
+  const difference = successesA / nA - successesB / nB;
+
+  if (standardError === 0) return { z: 0, pValue: difference ? 0 : 1 };
+
+  const z = difference / standardError;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
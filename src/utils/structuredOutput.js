@@ -0,0 +1,113 @@
+/**
+ * Structured Output Utilities
+ *
+ * Extracts JSON from model responses, validates it against a template's
+ * output_schema, and builds repair prompts for invalid output
+ */
+
+import { validateSchema, formatSchemaErrors } from './schema.js';
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+// Find the first balanced {...} or [...] span, skipping braces in strings
+function findJsonSpan(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char);
+    else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract a JSON value from model output. Accepts bare JSON, JSON inside a
+ * fenced code block, or JSON surrounded by prose.
+ * Returns { ok: true, value } or { ok: false, error }.
+ */
+export function extractJson(text) {
+  const trimmed = String(text || '').trim();
+
+  const direct = tryParse(trimmed);
+  if (direct.ok) return direct;
+
+  const candidates = [];
+  const fencePattern = /```(?:json|JSON)?\s*\n?([\s\S]*?)```/g;
+  let fence;
+  while ((fence = fencePattern.exec(trimmed)) !== null) {
+    candidates.push(fence[1].trim());
+  }
+
+  const span = findJsonSpan(trimmed);
+  if (span) candidates.push(span);
+
+  for (const candidate of candidates) {
+    const parsed = tryParse(candidate);
+    if (parsed.ok) return parsed;
+  }
+
+  return { ok: false, error: `No valid JSON found: ${direct.error}` };
+}
+
+/**
+ * Parse and validate model output against a schema.
+ * Returns { valid, data, errors } where errors are readable strings.
+ */
+export function parseStructuredOutput(text, schema) {
+  const extracted = extractJson(text);
+  if (!extracted.ok) {
+    return { valid: false, data: null, errors: [extracted.error] };
+  }
+
+  const errors = schema
+    ? formatSchemaErrors(validateSchema(extracted.value, schema))
+    : [];
+
+  return { valid: errors.length === 0, data: extracted.value, errors };
+}
+
+/**
+ * Follow-up turns asking the model to fix invalid output. The invalid
+ * response is sent back as the assistant turn so the model can correct it.
+ */
+export function buildRepairMessages(text, errors, schema) {
+  return [
+    { role: 'assistant', content: text },
+    {
+      role: 'user',
+      content: [
+        'Your response did not match the required JSON schema.',
+        'Errors:',
+        ...errors.map((error) => `- ${error}`),
+        '',
+        'Respond again with only the corrected JSON, no commentary. Schema:',
+        JSON.stringify(schema),
+      ].join('\n'),
+    },
+  ];
+}
@@ -0,0 +1,48 @@
+/**
+ * Template Diffs
+ *
+ * Field-level differences between two versions of a template. Objects are
+ * compared key by key (e.g. input_schema.properties.word_count.minimum);
+ * strings, numbers and arrays are compared as whole values.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffValues(from, to, path, changes) {
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    for (const key of keys) {
+      diffValues(from[key], to[key], path ? `${path}.${key}` : key, changes);
+    }
+    return changes;
+  }
+
+  if (from === undefined && to !== undefined) {
+    changes.push({ field: path, type: 'added', to });
+  } else if (to === undefined && from !== undefined) {
+    changes.push({ field: path, type: 'removed', from });
+  } else if (!isEqual(from, to)) {
+    changes.push({ field: path, type: 'changed', from, to });
+  }
+
+  return changes;
+}
+
+/**
+ * Diff two templates. Returns { from, to, changes }, where from/to are the
+ * template ids and each change is { field, type, from?, to? } with type
+ * 'added', 'removed' or 'changed'.
+ */
+export function diffTemplates(fromTemplate, toTemplate) {
+  return {
+    from: `${fromTemplate.id}@${fromTemplate.version}`,
+    to: `${toTemplate.id}@${toTemplate.version}`,
+    changes: diffValues(fromTemplate, toTemplate, '', []),
+  };
+}
@@ -0,0 +1,299 @@
+/**
+ * Prompt Template Engine
+ *
+ * Renders template text with:
+ *   {key}                      value (dot paths such as {section.heading})
+ *   {key|fallback}             fallback text when the value is missing/empty
+ *   {key|upper|truncate:80}    filters, applied left to right
+ *   {#if key}...{else}...{/if} optional sections ({#unless key} inverts)
+ *   {#each items}...{/each}    iteration; {this}, {@index} and item fields
+ *   \{ and \}                  literal braces
+ *
+ * Only identifiers are treated as placeholders, so literal JSON such as
+ * {"text": ""} passes through untouched. Unknown placeholders are left
+ * verbatim unless strict mode is on.
+ */
+
+import { ValidationError } from './errorHandling.js';
+
+const IDENT = '[A-Za-z_@][\\w.@]*';
+const OPEN_SECTION = new RegExp(`^\\{#(if|unless|each)\\s+(${IDENT})\\s*\\}`);
+const CLOSE_SECTION = /^\{\/(if|unless|each)\}/;
+const ELSE = /^\{else\}/;
+const PLACEHOLDER = new RegExp(`^\\{(${IDENT})((?:\\|[^{}|]*)*)\\}`);
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export const FILTERS = {
+  upper: (value) => stringify(value).toUpperCase(),
+  lower: (value) => stringify(value).toLowerCase(),
+  trim: (value) => stringify(value).trim(),
+  capitalize: (value) => {
+    const text = stringify(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  json: (value) => JSON.stringify(value ?? null),
+  truncate: (value, length = '100', suffix = '…') => {
+    const text = stringify(value);
+    const max = Number(length);
+    return text.length > max ? text.slice(0, max) + suffix : text;
+  },
+  join: (value, separator = ', ') =>
+    Array.isArray(value) ? value.map(stringify).join(separator) : value,
+  bullets: (value) =>
+    Array.isArray(value)
+      ? value.map((item) => `- ${stringify(item)}`).join('\n')
+      : value,
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+};
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function isTruthy(value) {
+  return !isEmpty(value) && value !== false && value !== 0;
+}
+
+// "truncate:80" -> { name: 'truncate', args: ['80'] }
+function parsePipe(segment) {
+  const [name, ...args] = segment.split(':');
+  return { name: name.trim(), args: args.length ? [args.join(':')] : [] };
+}
+
+/**
+ * Parse template text into a tree of text, placeholder and section nodes.
+ * Throws a ValidationError for unbalanced sections.
+ */
+export function parseTemplate(text) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let buffer = '';
+  let i = 0;
+
+  const current = () => stack.at(-1);
+  // Nodes after {else} go to the section's alternate branch
+  const append = (node) => {
+    const section = current();
+    (section.alternate || section.children).push(node);
+  };
+  const flush = () => {
+    if (buffer) append({ type: 'text', value: buffer });
+    buffer = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && (text[i + 1] === '{' || text[i + 1] === '}')) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char !== '{') {
+      buffer += char;
+      i++;
+      continue;
+    }
+
+    const rest = text.slice(i);
+    let match;
+
+    if ((match = OPEN_SECTION.exec(rest))) {
+      flush();
+      const section = {
+        type: match[1],
+        key: match[2],
+        children: [],
+        alternate: null,
+      };
+      append(section);
+      stack.push(section);
+    } else if ((match = ELSE.exec(rest)) && stack.length > 1) {
+      flush();
+      const section = current();
+      if (section.type === 'each' || section.alternate) {
+        throw new ValidationError(
+          `Unexpected {else} in {#${section.type} ${section.key}}`,
+          'template_syntax',
+          text
+        );
+      }
+      section.alternate = [];
+    } else if ((match = CLOSE_SECTION.exec(rest))) {
+      flush();
+      const section = current();
+      if (section.type !== match[1]) {
+        throw new ValidationError(
+          `Unexpected {/${match[1]}}${
+            section.type === 'root'
+              ? ''
+              : ` while {#${section.type} ${section.key}} is open`
+          }`,
+          'template_syntax',
+          text
+        );
+      }
+      stack.pop();
+    } else if ((match = PLACEHOLDER.exec(rest))) {
+      flush();
+      const pipes = match[2] ? match[2].slice(1).split('|') : [];
+      append({
+        type: 'placeholder',
+        key: match[1],
+        pipes: pipes.map(parsePipe),
+        raw: match[0],
+      });
+    } else {
+      buffer += char;
+      i++;
+      continue;
+    }
+
+    i += match[0].length;
+  }
+
+  flush();
+
+  if (stack.length > 1) {
+    const section = current();
+    throw new ValidationError(
+      `Unclosed {#${section.type} ${section.key}}`,
+      'template_syntax',
+      text
+    );
+  }
+
+  return root;
+}
+
+// Look a dot path up through the scope chain (innermost first)
+function lookup(scopes, key) {
+  for (let depth = scopes.length - 1; depth >= 0; depth--) {
+    const scope = scopes[depth];
+    const [head, ...path] = key.split('.');
+
+    let value;
+    if (head === 'this') value = scope['@this'];
+    else if (scope && typeof scope === 'object' && head in scope) {
+      value = scope[head];
+    } else if (scope?.['@this'] && typeof scope['@this'] === 'object') {
+      value = scope['@this'][head];
+    } else continue;
+
+    for (const part of path) {
+      value = value?.[part];
+    }
+    if (value !== undefined) return value;
+    if (head === 'this') return undefined;
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, scopes, options, missing) {
+  return nodes
+    .map((node) => renderNode(node, scopes, options, missing))
+    .join('');
+}
+
+function renderNode(node, scopes, options, missing) {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+
+    case 'placeholder': {
+      let value = lookup(scopes, node.key);
+      // Anything that is not a filter is a fallback: {locale|en-US}
+      const hasFallback = node.pipes.some(
+        ({ name }) => name === 'default' || !FILTERS[name]
+      );
+
+      if (value === undefined && !hasFallback) {
+        missing.add(node.key);
+        return node.raw;
+      }
+
+      for (const { name, args } of node.pipes) {
+        const filter = FILTERS[name];
+        if (filter) {
+          value = filter(value, ...args);
+        } else if (isEmpty(value)) {
+          value = [name, ...args].join(':');
+        }
+      }
+
+      return stringify(value);
+    }
+
+    case 'if':
+    case 'unless': {
+      const value = lookup(scopes, node.key);
+      if (value === undefined && options.strict) missing.add(node.key);
+      const show = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+      return renderNodes(
+        show ? node.children : node.alternate || [],
+        scopes,
+        options,
+        missing
+      );
+    }
+
+    case 'each': {
+      const value = lookup(scopes, node.key);
+      if (value === undefined && options.strict) missing.add(node.key);
+      if (!Array.isArray(value)) return '';
+
+      return value
+        .map((item, index) =>
+          renderNodes(
+            node.children,
+            [...scopes, { '@this': item, '@index': index }],
+            options,
+            missing
+          )
+        )
+        .join('');
+    }
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * The raw value at a dot path in data (for example "steps.summary.output"),
+ * or undefined
+ */
+export function lookupPath(data, key) {
+  return lookup([data], key);
+}
+
+/**
+ * Render template text with data. In strict mode, placeholders with no
+ * value (and no fallback) throw a ValidationError listing them.
+ */
+export function renderTemplate(text, data = {}, options = {}) {
+  const tree = parseTemplate(String(text ?? ''));
+  const missing = new Set();
+  const output = renderNodes(tree.children, [data], options, missing);
+
+  if (options.strict && missing.size > 0) {
+    throw new ValidationError(
+      `Missing template values: ${Array.from(missing).join(', ')}`,
+      'template_input',
+      Array.from(missing)
+    );
+  }
+
+  return output;
+}
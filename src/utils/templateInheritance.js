@@ -0,0 +1,160 @@
+/**
+ * Template Inheritance and Partials
+ *
+ * A template can extend a base template ("extends": "base_editor@^1") and
+ * include shared partials from prompts/partials/<name>.json with {>name}
+ * in its system or user prompt. Composition merges the inheritance chain,
+ * inlines partials, and rejects cycles in either. Input schemas merge
+ * field by field.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ValidationError } from './errorHandling.js';
+import {
+  DEFAULT_TEMPLATE_DIR,
+  resolveTemplateRef,
+} from './templateResolver.js';
+
+// {>name} includes a partial; \{>name} is a literal
+const INCLUDE_PATTERN = /(\\?)\{>\s*([A-Za-z_][\w-]*)\s*\}/g;
+const PARTIAL_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+// Fields accumulated along the inheritance chain rather than overridden
+const ACCUMULATED_FIELDS = ['guardrails', 'inputs'];
+
+// Fields that describe a template file itself and are never inherited
+const OWN_FIELDS = ['abstract', 'deprecated'];
+
+function unique(values) {
+  return Array.from(new Set(values));
+}
+
+function cycleError(kind, chain) {
+  return new ValidationError(
+    `${kind} cycle: ${chain.join(' -> ')}`,
+    'template_cycle',
+    chain
+  );
+}
+
+export function partialsDir(templateDir = DEFAULT_TEMPLATE_DIR) {
+  return path.join(templateDir, 'partials');
+}
+
+// dir/<name>.json, refusing names that would leave dir
+function fileIn(dir, name, field) {
+  const file = path.resolve(dir, `${name}.json`);
+  if (path.dirname(file) !== path.resolve(dir)) {
+    throw new ValidationError(`Invalid ${field} name: ${name}`, field, name);
+  }
+  return file;
+}
+
+export function loadPartial(name, templateDir = DEFAULT_TEMPLATE_DIR) {
+  if (!PARTIAL_NAME_PATTERN.test(String(name))) {
+    throw new ValidationError(`Invalid partial name: ${name}`, 'partial', name);
+  }
+  const file = fileIn(partialsDir(templateDir), name, 'partial');
+  if (!fs.existsSync(file)) {
+    throw new ValidationError(`Partial not found: ${name}`, 'partial', name);
+  }
+
+  const partial = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (typeof partial.content !== 'string') {
+    throw new ValidationError(
+      `Partial ${name} is missing content`,
+      'partial',
+      name
+    );
+  }
+  return partial;
+}
+
+// Inline {>name} includes, recursively
+function expandPartials(text, templateDir, chain = []) {
+  if (typeof text !== 'string') return text;
+
+  return text.replace(INCLUDE_PATTERN, (match, escaped, name) => {
+    if (escaped) return match;
+    if (chain.includes(name)) throw cycleError('Partial', [...chain, name]);
+
+    const { content } = loadPartial(name, templateDir);
+    return expandPartials(content, templateDir, [...chain, name]);
+  });
+}
+
+// Input schemas merge per field; the child's field definitions win
+function mergeInputSchemas(base, child) {
+  return {
+    ...base,
+    ...child,
+    properties: { ...base.properties, ...child.properties },
+    required: unique([...(base.required || []), ...(child.required || [])]),
+  };
+}
+
+// Child fields override the base; guardrails and inputs accumulate
+export function mergeTemplates(base, child) {
+  const merged = { ...base, ...child };
+  for (const field of OWN_FIELDS) {
+    delete merged[field];
+    if (child[field]) merged[field] = child[field];
+  }
+
+  for (const field of ACCUMULATED_FIELDS) {
+    if (base[field] || child[field]) {
+      merged[field] = unique([...(base[field] || []), ...(child[field] || [])]);
+    }
+  }
+
+  if (base.input_schema && child.input_schema) {
+    merged.input_schema = mergeInputSchemas(
+      base.input_schema,
+      child.input_schema
+    );
+  }
+
+  return merged;
+}
+
+function compose(template, options, chain) {
+  const templateDir = options.templateDir || DEFAULT_TEMPLATE_DIR;
+  let composed = { ...template };
+
+  if (template.extends) {
+    const baseId = resolveTemplateRef(template.extends, options);
+    if (chain.includes(baseId)) {
+      throw cycleError('Template inheritance', [...chain, baseId]);
+    }
+
+    // resolveTemplateRef only returns template ids; fileIn double-checks
+    const basePath = fileIn(templateDir, baseId, 'template');
+    const base = JSON.parse(fs.readFileSync(basePath, 'utf8'));
+    composed = mergeTemplates(
+      compose(base, options, [...chain, baseId]),
+      template
+    );
+    composed.extends = baseId;
+  }
+
+  composed.system = expandPartials(composed.system, templateDir);
+  composed.user = expandPartials(composed.user, templateDir);
+  if (composed.guardrails) {
+    composed.guardrails = composed.guardrails.map((guardrail) =>
+      expandPartials(guardrail, templateDir)
+    );
+  }
+
+  return composed;
+}
+
+/**
+ * Resolve a template's base templates and partials into a single template.
+ * options: { id, templateDir, lockfile }, where id is the template's own
+ * 'name@version' (used to detect templates that extend themselves).
+ */
+export function composeTemplate(template, options = {}) {
+  const id = options.id || `${template.id}@${template.version}`;
+  return compose(template, options, [id]);
+}
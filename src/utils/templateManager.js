@@ -9,16 +9,40 @@ import path from 'path';
 import crypto from 'crypto';
 import { logger, metrics } from '../utils/observability.js';
 import { ValidationError } from '../utils/errorHandling.js';
+import {
+  DEFAULT_LOCKFILE,
+  listTemplateVersions,
+  loadLockfile,
+  parseTemplateRef,
+  pinTemplateVersion,
+  resolveTemplateRef,
+  TEMPLATE_ID_PATTERN,
+} from './templateResolver.js';
+import { compareVersions, isValidRange } from './semver.js';
+import { parseTemplate } from './templateEngine.js';
+import { composeTemplate, partialsDir } from './templateInheritance.js';
+import { FileWatcher } from './fileWatcher.js';
+import { CHUNK_BOUNDARIES } from './chunking.js';
+import { diffTemplates } from './templateDiff.js';
+import {
+  analyzeExperiment,
+  EXPERIMENT_METRICS,
+  ExperimentStore,
+} from './experiments.js';
 
 export class TemplateManager {
-  constructor(templateDir) {
+  constructor(templateDir, options = {}) {
     if (!templateDir) {
       throw new Error('templateDir is required for TemplateManager');
     }
     this.templateDir = templateDir;
+    this.lockfile = options.lockfile ?? DEFAULT_LOCKFILE;
     this.templates = new Map();
-    this.experiments = new Map();
+    this.experiments = new ExperimentStore(
+      options.experimentsFile || process.env.EXPERIMENTS_FILE || undefined
+    );
     this.performance = new Map();
+    this.watcher = null;
 
     // Debug logging
     console.log(
@@ -27,29 +51,54 @@ export class TemplateManager {
     );
   }
 
-  async loadTemplate(templateId) {
+  // Resolve a reference like draft_scaffold, draft_scaffold@latest or
+  // draft_scaffold@^1.2 to an exact template id
+  resolveTemplateId(templateRef) {
+    return resolveTemplateRef(templateRef, {
+      templateDir: this.templateDir,
+      lockfile: this.lockfile,
+    });
+  }
+
+  async loadTemplate(templateRef) {
+    const templateId = this.resolveTemplateId(templateRef);
     if (this.templates.has(templateId)) {
       return this.templates.get(templateId);
     }
 
     console.log('Loading template:', templateId, 'from dir:', this.templateDir);
-    const templatePath = path.join(this.templateDir, `${templateId}.json`);
-    console.log('Template path:', templatePath);
+    const template = this.compileTemplate(templateId);
 
-    try {
-      const templateData = fs.readFileSync(templatePath, 'utf8');
-      const template = JSON.parse(templateData);
+    if (template.deprecated) {
+      logger.warn('Using deprecated template', {
+        templateId,
+        reason: template.deprecated.reason,
+      });
+    }
 
-      // Validate template structure
-      this.validateTemplate(template, templateId);
+    // Cache the template
+    this.templates.set(templateId, template);
+
+    logger.debug('Loaded template', {
+      templateId,
+      version: template.version,
+    });
+    return template;
+  }
 
-      // Cache the template
-      this.templates.set(templateId, template);
+  // Read a template file, merge its base templates and inline partials,
+  // then validate the result
+  compileTemplate(templateId) {
+    const templatePath = path.join(this.templateDir, `${templateId}.json`);
 
-      logger.debug('Loaded template', {
-        templateId,
-        version: template.version,
+    try {
+      const templateData = fs.readFileSync(templatePath, 'utf8');
+      const template = composeTemplate(JSON.parse(templateData), {
+        id: templateId,
+        templateDir: this.templateDir,
+        lockfile: this.lockfile,
       });
+      this.validateTemplate(template, templateId);
       return template;
     } catch (error) {
       if (error.code === 'ENOENT') {
@@ -59,6 +108,10 @@ export class TemplateManager {
           templateId
         );
       }
+      // Keep specific validation errors (missing fields, cycles, ...)
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new ValidationError(
         `Invalid template: ${templateId}`,
         'template',
@@ -68,12 +121,20 @@ export class TemplateManager {
   }
 
   // Alias for loadTemplate for compatibility
-  async getTemplate(templateId) {
-    return await this.loadTemplate(templateId);
+  async getTemplate(templateRef) {
+    return await this.loadTemplate(templateRef);
   }
 
-  validateTemplate(template, templateId) {
-    const required = ['id', 'version', 'system', 'user'];
+  /**
+   * Check a template's fields and prompt syntax. With { isNewVersion: true }
+   * the version must also be newer than every published version of the
+   * template, so published versions are never overwritten.
+   */
+  validateTemplate(template, templateId, options = {}) {
+    // Abstract base templates only need to be complete once extended
+    const required = template.abstract
+      ? ['id', 'version']
+      : ['id', 'version', 'system', 'user'];
     const missing = required.filter((field) => !template[field]);
 
     if (missing.length > 0) {
@@ -92,11 +153,410 @@ export class TemplateManager {
         template.version
       );
     }
+
+    if (options.isNewVersion) {
+      this.validateNewVersion(template, templateId);
+    }
+
+    // Input schemas describe an object of named fields
+    const schema = template.input_schema;
+    if (
+      schema !== undefined &&
+      (!schema ||
+        typeof schema !== 'object' ||
+        schema.type !== 'object' ||
+        (schema.properties && typeof schema.properties !== 'object'))
+    ) {
+      throw new ValidationError(
+        `Template ${templateId} has an invalid input_schema: expected an object schema`,
+        'template_input_schema',
+        schema
+      );
+    }
+
+    // Few-shot examples are inline { input, output } pairs or golden-set
+    // { input_file, output_file } references
+    if (template.examples !== undefined) {
+      const invalid =
+        !Array.isArray(template.examples) ||
+        template.examples.some(
+          (example) =>
+            !example ||
+            typeof example !== 'object' ||
+            (example.input_file === undefined &&
+              (!example.input || typeof example.input !== 'object')) ||
+            (example.output_file === undefined && example.output === undefined)
+        );
+      if (invalid) {
+        throw new ValidationError(
+          `Template ${templateId} has invalid examples: expected a list of { input, output } or { input_file, output_file }`,
+          'template_examples',
+          template.examples
+        );
+      }
+    }
+
+    // Chunked generation splits one string input field at a known boundary
+    const { chunking } = template;
+    if (
+      chunking !== undefined &&
+      (!chunking ||
+        typeof chunking.field !== 'string' ||
+        (chunking.boundary !== undefined &&
+          !CHUNK_BOUNDARIES.includes(chunking.boundary)))
+    ) {
+      throw new ValidationError(
+        `Template ${templateId} has invalid chunking: expected { field, boundary } with boundary ${CHUNK_BOUNDARIES.join(
+          ', '
+        )}`,
+        'template_chunking',
+        chunking
+      );
+    }
+
+    // Channel validation reads the presets from one input field
+    const { channel_validation: channelValidation } = template;
+    if (
+      channelValidation !== undefined &&
+      typeof channelValidation?.field !== 'string'
+    ) {
+      throw new ValidationError(
+        `Template ${templateId} has invalid channel_validation: expected { field }`,
+        'template_channel_validation',
+        channelValidation
+      );
+    }
+
+    // Check template syntax (balanced {#if}/{#each} sections)
+    for (const field of ['system', 'user']) {
+      if (!template[field]) continue;
+      try {
+        parseTemplate(template[field]);
+      } catch (error) {
+        throw new ValidationError(
+          `Template ${templateId} has invalid ${field} prompt: ${error.message}`,
+          'template_syntax',
+          field
+        );
+      }
+    }
+  }
+
+  // A new template's id, version and "extends" reference, which name files
+  validateTemplateRefs(template) {
+    if (
+      typeof template.id !== 'string' ||
+      !TEMPLATE_ID_PATTERN.test(template.id)
+    ) {
+      throw new ValidationError(
+        `Invalid template id: ${template.id}. Use letters, digits, _ and -`,
+        'template_id',
+        template.id
+      );
+    }
+    if (
+      typeof template.version !== 'string' ||
+      !/^\d+\.\d+\.\d+$/.test(template.version)
+    ) {
+      throw new ValidationError(
+        `Template ${template.id} has invalid version format: ${template.version}`,
+        'template_version',
+        template.version
+      );
+    }
+
+    const base = template.extends;
+    if (base === undefined) return;
+    const { name, range } = parseTemplateRef(base);
+    if (
+      typeof base !== 'string' ||
+      /[/\\]|\.\./.test(base) ||
+      !TEMPLATE_ID_PATTERN.test(name) ||
+      (range !== null && !isValidRange(range))
+    ) {
+      throw new ValidationError(
+        `Template ${template.id} has an invalid extends reference: ${base}. Use a template id with an optional @version or @range`,
+        'template_extends',
+        base
+      );
+    }
+  }
+
+  validateNewVersion(template, templateId) {
+    this.validateTemplateRefs(template);
+
+    const versions = listTemplateVersions(this.templateDir).get(template.id);
+    const latest = versions?.at(-1);
+    if (versions?.includes(template.version)) {
+      throw new ValidationError(
+        `Template ${templateId} is already published; create a new version instead`,
+        'template_version',
+        template.version
+      );
+    }
+    if (latest && compareVersions(template.version, latest) <= 0) {
+      throw new ValidationError(
+        `Template ${templateId} must have a version greater than the latest published version (${latest})`,
+        'template_version',
+        template.version
+      );
+    }
+  }
+
+  // Template authoring and version history
+  templatePath(templateId) {
+    return path.join(this.templateDir, `${templateId}.json`);
+  }
+
+  // A template file as authored (before inheritance and partials)
+  readTemplateFile(templateId) {
+    try {
+      return JSON.parse(fs.readFileSync(this.templatePath(templateId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ValidationError(
+          `Template not found: ${templateId}`,
+          'template',
+          templateId
+        );
+      }
+      throw error;
+    }
+  }
+
+  writeTemplateFile(templateId, template, options = {}) {
+    fs.writeFileSync(
+      this.templatePath(templateId),
+      JSON.stringify(template, null, 2),
+      { flag: options.overwrite ? 'w' : 'wx' }
+    );
+    // Cached templates may extend or include the changed template
+    this.clearCache();
+  }
+
+  /**
+   * Summary of every template: purpose, versions, newest and pinned version
+   */
+  async listTemplates() {
+    const templates = [];
+
+    for (const name of listTemplateVersions(this.templateDir).keys()) {
+      const history = await this.getTemplateHistory(name);
+      const latest = history.at(-1);
+
+      templates.push({
+        name,
+        purpose: latest.purpose,
+        latest: latest.version,
+        pinned: history.find((entry) => entry.pinned)?.version || null,
+        versions: history.map((entry) => entry.version),
+        deprecated: history
+          .filter((entry) => entry.deprecated)
+          .map((entry) => entry.version),
+      });
+    }
+
+    return templates;
+  }
+
+  /**
+   * Published versions of a template, oldest first
+   */
+  async getTemplateHistory(name) {
+    const versions = listTemplateVersions(this.templateDir).get(name);
+    if (!versions) {
+      throw new ValidationError(
+        `Template not found: ${name}`,
+        'template',
+        name
+      );
+    }
+
+    const pinned = loadLockfile(this.lockfile)[name];
+    return versions.map((version) => {
+      const templateId = `${name}@${version}`;
+      const template = this.readTemplateFile(templateId);
+
+      return {
+        id: templateId,
+        version,
+        purpose: template.purpose || null,
+        extends: template.extends || null,
+        pinned: version === pinned,
+        deprecated: template.deprecated || null,
+        modified: fs
+          .statSync(this.templatePath(templateId))
+          .mtime.toISOString(),
+      };
+    });
+  }
+
+  /**
+   * Publish a new template version. The composed template must be valid
+   * and its version newer than every published version. options.pin also
+   * pins the new version in the lockfile.
+   */
+  async createTemplateVersion(template, options = {}) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      throw new ValidationError(
+        'Template must be a JSON object',
+        'template',
+        template
+      );
+    }
+
+    // The id, version and base become file paths, so check them before
+    // anything is read from disk
+    this.validateTemplateRefs(template);
+
+    const templateId = `${template.id}@${template.version}`;
+    const composed = composeTemplate(template, {
+      id: templateId,
+      templateDir: this.templateDir,
+      lockfile: this.lockfile,
+    });
+    // Validate under the id and version as authored, not a base template's
+    this.validateTemplate(
+      { ...composed, id: template.id, version: template.version },
+      templateId,
+      { isNewVersion: true }
+    );
+
+    this.writeTemplateFile(templateId, template);
+    if (options.pin) {
+      pinTemplateVersion(template.id, template.version, this.lockfile);
+    }
+
+    logger.info('Created template version', {
+      templateId,
+      pinned: Boolean(options.pin),
+    });
+    return await this.getTemplate(templateId);
+  }
+
+  /**
+   * Mark a template version as deprecated. It still resolves and loads,
+   * but logs a warning when used.
+   */
+  async deprecateTemplateVersion(templateRef, options = {}) {
+    const templateId = this.resolveTemplateId(templateRef);
+    const template = this.readTemplateFile(templateId);
+
+    template.deprecated = {
+      reason: options.reason || null,
+      date: new Date().toISOString(),
+    };
+    this.writeTemplateFile(templateId, template, { overwrite: true });
+
+    logger.info('Deprecated template version', {
+      templateId,
+      reason: template.deprecated.reason,
+    });
+    return template;
+  }
+
+  /**
+   * Field-level diff between two versions of a template. `to` defaults to
+   * the newest version and `from` to the version before it; with
+   * options.composed the templates are compared after inheritance and
+   * partials are applied.
+   */
+  async diffTemplateVersions(name, from, to, options = {}) {
+    const versions = listTemplateVersions(this.templateDir).get(name) || [];
+    const toVersion = to || versions.at(-1);
+    const fromVersion = from || versions[versions.indexOf(toVersion) - 1];
+
+    for (const version of [toVersion, fromVersion]) {
+      if (version && !versions.includes(version)) {
+        throw new ValidationError(
+          `Template version not found: ${name}@${version}`,
+          'template_version',
+          version
+        );
+      }
+    }
+    if (!toVersion) {
+      throw new ValidationError(
+        `Template not found: ${name}`,
+        'template',
+        name
+      );
+    }
+    if (!fromVersion) {
+      throw new ValidationError(
+        `No version of ${name} before ${toVersion} to compare with`,
+        'template_version',
+        toVersion
+      );
+    }
+
+    const load = (version) =>
+      options.composed
+        ? this.loadTemplate(`${name}@${version}`)
+        : this.readTemplateFile(`${name}@${version}`);
+
+    return diffTemplates(await load(fromVersion), await load(toVersion));
   }
 
-  // A/B Testing functionality
-  startExperiment(experimentId, templates, trafficSplit = {}) {
-    const totalTraffic = Object.values(trafficSplit).reduce((a, b) => a + b, 0);
+  // A/B Testing functionality (experiments persist in this.experiments)
+  startExperiment(experimentId, templates, trafficSplit = {}, options = {}) {
+    if (!experimentId || !TEMPLATE_ID_PATTERN.test(experimentId)) {
+      throw new ValidationError(
+        `Invalid experiment id: ${experimentId}. Use letters, digits, _ and -`,
+        'experiment',
+        experimentId
+      );
+    }
+    if (this.experiments.get(experimentId)) {
+      throw new ValidationError(
+        `Experiment already exists: ${experimentId}`,
+        'experiment',
+        experimentId
+      );
+    }
+    if (!Array.isArray(templates) || templates.length < 2) {
+      throw new ValidationError(
+        'An experiment needs at least two templates',
+        'templates',
+        templates
+      );
+    }
+
+    // Arms are exact template versions, so results stay comparable when a
+    // new version is published or pinned mid-experiment
+    const templateIds = templates.map((ref) => this.resolveTemplateId(ref));
+    // Arms share the template's inputs, so they must be versions of it
+    const names = new Set(templateIds.map((id) => parseTemplateRef(id).name));
+    if (names.size > 1) {
+      throw new ValidationError(
+        `Experiment templates must be versions of one template, got: ${Array.from(
+          names
+        ).join(', ')}`,
+        'templates',
+        templates
+      );
+    }
+    if (new Set(templateIds).size !== templateIds.length) {
+      throw new ValidationError(
+        `Experiment templates must be different versions: ${templateIds.join(
+          ', '
+        )}`,
+        'templates',
+        templates
+      );
+    }
+    const split = Object.keys(trafficSplit || {}).length
+      ? Object.fromEntries(
+          Object.entries(trafficSplit).map(([ref, weight]) => [
+            this.resolveTemplateId(ref),
+            weight,
+          ])
+        )
+      : Object.fromEntries(
+          templateIds.map((templateId) => [templateId, 1 / templateIds.length])
+        );
+
+    const totalTraffic = Object.values(split).reduce((a, b) => a + b, 0);
     if (Math.abs(totalTraffic - 1.0) > 0.001) {
       throw new ValidationError(
         'Traffic split must sum to 1.0',
@@ -104,33 +564,121 @@ export class TemplateManager {
         trafficSplit
       );
     }
+    const unknown = Object.keys(split).filter(
+      (id) => !templateIds.includes(id)
+    );
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Traffic split names templates outside the experiment: ${unknown.join(
+          ', '
+        )}`,
+        'traffic_split',
+        trafficSplit
+      );
+    }
+
+    const metric = options.metric || 'evalScore';
+    if (!EXPERIMENT_METRICS[metric]) {
+      throw new ValidationError(
+        `Unknown experiment metric: ${metric}. Use ${Object.keys(
+          EXPERIMENT_METRICS
+        ).join(', ')}`,
+        'metric',
+        metric
+      );
+    }
 
-    this.experiments.set(experimentId, {
-      templates,
-      trafficSplit,
-      results: new Map(),
-      startTime: Date.now(),
+    const alpha = options.alpha ?? 0.05;
+    if (!(alpha > 0 && alpha < 1)) {
+      throw new ValidationError(
+        'Experiment alpha must be between 0 and 1',
+        'alpha',
+        alpha
+      );
+    }
+
+    const experiment = this.experiments.set({
+      id: experimentId,
+      description: options.description || null,
+      templates: templateIds,
+      trafficSplit: split,
+      metric,
+      alpha,
+      status: 'running',
+      startTime: new Date().toISOString(),
+      stopTime: null,
     });
+    this.experiments.clearObservations(experimentId);
 
     logger.info('Started A/B test experiment', {
       experimentId,
-      templates,
-      trafficSplit,
+      templates: templateIds,
+      trafficSplit: split,
+      metric,
     });
+    return experiment;
   }
 
-  getTemplateForExperiment(experimentId, userId = null) {
+  stopExperiment(experimentId) {
+    const experiment = this.requireExperiment(experimentId);
+    if (experiment.status !== 'running') return experiment;
+
+    experiment.status = 'stopped';
+    experiment.stopTime = new Date().toISOString();
+    this.experiments.set(experiment);
+
+    logger.info('Stopped A/B test experiment', { experimentId });
+    return experiment;
+  }
+
+  requireExperiment(experimentId) {
     const experiment = this.experiments.get(experimentId);
     if (!experiment) {
       throw new ValidationError(
-        `Unknown experiment: ${experimentId}`,
+        `Experiment not found: ${experimentId}`,
+        'experiment',
+        experimentId
+      );
+    }
+    return experiment;
+  }
+
+  listExperiments() {
+    return this.experiments.list().map(({ observations, ...experiment }) => ({
+      ...experiment,
+      observations: this.experiments.observations(experiment.id).length,
+    }));
+  }
+
+  // The running experiment, if any, whose arms are versions of the
+  // referenced template
+  findExperimentForTemplate(templateRef) {
+    const { name } = parseTemplateRef(templateRef);
+    return (
+      this.experiments
+        .list()
+        .find(
+          (experiment) =>
+            experiment.status === 'running' &&
+            experiment.templates.every(
+              (templateId) => parseTemplateRef(templateId).name === name
+            )
+        ) || null
+    );
+  }
+
+  getTemplateForExperiment(experimentId, userId = null) {
+    const experiment = this.requireExperiment(experimentId);
+    if (experiment.status !== 'running') {
+      throw new ValidationError(
+        `Experiment ${experimentId} is ${experiment.status}`,
         'experiment',
         experimentId
       );
     }
 
     // Deterministic assignment based on user ID or random
-    const hash = userId ? this.hashUserId(userId) : Math.random();
+    const hash = userId ? this.hashUserId(String(userId)) : Math.random();
 
     let cumulative = 0;
     for (const [templateId, weight] of Object.entries(
@@ -151,16 +699,25 @@ export class TemplateManager {
     return parseInt(hash.substring(0, 8), 16) / 0xffffffff;
   }
 
-  recordExperimentResult(experimentId, templateId, metrics_data) {
+  /**
+   * Record an observation for one arm: { latency, error, lintPass,
+   * schemaValid } for a generation, or { score } for an evaluation score
+   */
+  async recordExperimentResult(experimentId, templateId, metrics_data) {
     const experiment = this.experiments.get(experimentId);
     if (!experiment) return;
 
-    if (!experiment.results.has(templateId)) {
-      experiment.results.set(templateId, []);
+    if (!experiment.templates.includes(templateId)) {
+      throw new ValidationError(
+        `Template ${templateId} is not part of experiment ${experimentId}`,
+        'templateId',
+        templateId
+      );
     }
 
-    experiment.results.get(templateId).push({
-      timestamp: Date.now(),
+    await this.experiments.appendObservation(experimentId, {
+      templateId,
+      timestamp: new Date().toISOString(),
       ...metrics_data,
     });
 
@@ -170,32 +727,26 @@ export class TemplateManager {
     });
   }
 
-  getExperimentResults(experimentId) {
+  getExperimentResults(experimentId, options = {}) {
     const experiment = this.experiments.get(experimentId);
     if (!experiment) return null;
 
-    const results = {};
-
-    for (const [templateId, data] of experiment.results) {
-      if (data.length === 0) continue;
-
-      // Calculate statistics
-      const latencies = data.map((d) => d.latency || 0);
-      const errors = data.filter((d) => d.error).length;
-
-      results[templateId] = {
-        sampleSize: data.length,
-        errorRate: errors / data.length,
-        avgLatency: latencies.reduce((a, b) => a + b, 0) / latencies.length,
-        p95Latency: this.percentile(latencies, 0.95),
-        // Add more metrics as needed
-      };
-    }
+    const end = experiment.stopTime
+      ? Date.parse(experiment.stopTime)
+      : Date.now();
+    const { observations, ...definition } = experiment;
 
     return {
       experimentId,
-      duration: Date.now() - experiment.startTime,
-      results,
+      ...definition,
+      duration: end - Date.parse(experiment.startTime),
+      results: analyzeExperiment(
+        {
+          ...experiment,
+          observations: this.experiments.observations(experimentId),
+        },
+        options
+      ),
     };
   }
 
@@ -301,4 +852,53 @@ export class TemplateManager {
     this.templates.clear();
     logger.info('Template cache cleared');
   }
+
+  /**
+   * Recompile every cached template. Any file can affect several templates
+   * through inheritance and partials, so all of them are checked. A template
+   * whose new version is invalid keeps serving its last good version; one
+   * whose file was deleted is dropped. Returns the ids that were reloaded.
+   */
+  reloadTemplates() {
+    const reloaded = [];
+
+    for (const [templateId, cached] of this.templates) {
+      try {
+        const template = this.compileTemplate(templateId);
+        if (JSON.stringify(template) === JSON.stringify(cached)) continue;
+
+        this.templates.set(templateId, template);
+        reloaded.push(templateId);
+        logger.info('Reloaded template', { templateId });
+      } catch (error) {
+        if (!fs.existsSync(this.templatePath(templateId))) {
+          this.templates.delete(templateId);
+          logger.info('Template removed', { templateId });
+          continue;
+        }
+        logger.error('Template reload failed; keeping last good version', {
+          templateId,
+          error: error.message,
+        });
+      }
+    }
+
+    return reloaded;
+  }
+
+  // Reload templates when files in the template or partials directory change
+  watch(options = {}) {
+    if (this.watcher) return this;
+
+    this.watcher = new FileWatcher((file) => {
+      if (path.extname(file) === '.json') this.reloadTemplates();
+    }, options);
+    this.watcher.watch(this.templateDir).watch(partialsDir(this.templateDir));
+    return this;
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
 }
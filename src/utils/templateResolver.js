@@ -0,0 +1,164 @@
+/**
+ * Template Reference Resolution
+ *
+ * Resolves template references such as draft_scaffold, draft_scaffold@latest,
+ * draft_scaffold@^1.2 or draft_scaffold@~1.0 to an exact template file by
+ * scanning the versions in the template directory. Bare names use the
+ * version pinned in templates.lock.json when there is one.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './errorHandling.js';
+import {
+  compareVersions,
+  isValidRange,
+  isValidVersion,
+  maxSatisfying,
+  satisfies,
+} from './semver.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_TEMPLATE_DIR = path.resolve(__dirname, '../../prompts');
+export const DEFAULT_LOCKFILE = path.resolve(
+  __dirname,
+  '../../templates.lock.json'
+);
+
+// Template ids become file names, so keep them to a safe character set
+export const TEMPLATE_ID_PATTERN = /^[A-Za-z][\w-]*$/;
+
+// 'draft_scaffold@^1.2' -> { name: 'draft_scaffold', range: '^1.2' }
+export function parseTemplateRef(ref) {
+  const value = String(ref || '').trim();
+  const at = value.indexOf('@');
+  if (at === -1) return { name: value, range: null };
+  return { name: value.slice(0, at), range: value.slice(at + 1) };
+}
+
+// Map of template name -> available versions (ascending)
+export function listTemplateVersions(templateDir = DEFAULT_TEMPLATE_DIR) {
+  const versions = new Map();
+  if (!fs.existsSync(templateDir)) return versions;
+
+  for (const file of fs.readdirSync(templateDir)) {
+    if (!file.endsWith('.json')) continue;
+    const { name, range: version } = parseTemplateRef(
+      path.basename(file, '.json')
+    );
+    if (!version || !isValidVersion(version)) continue;
+
+    if (!versions.has(name)) versions.set(name, []);
+    versions.get(name).push(version);
+  }
+
+  for (const list of versions.values()) list.sort(compareVersions);
+  return versions;
+}
+
+// Pinned versions by template name; an absent lockfile pins nothing
+export function loadLockfile(lockfile = DEFAULT_LOCKFILE) {
+  if (!lockfile || !fs.existsSync(lockfile)) return {};
+  return JSON.parse(fs.readFileSync(lockfile, 'utf8')).templates || {};
+}
+
+function saveLockfile(templates, lockfile) {
+  const sorted = Object.fromEntries(
+    Object.entries(templates).sort(([a], [b]) => a.localeCompare(b))
+  );
+  fs.writeFileSync(
+    lockfile,
+    JSON.stringify({ lockfileVersion: 1, templates: sorted }, null, 2) + '\n'
+  );
+  return sorted;
+}
+
+/**
+ * Pin every template to its newest available version
+ */
+export function writeLockfile(
+  templateDir = DEFAULT_TEMPLATE_DIR,
+  lockfile = DEFAULT_LOCKFILE
+) {
+  const templates = {};
+  for (const [name, versions] of listTemplateVersions(templateDir)) {
+    templates[name] = versions.at(-1);
+  }
+  return saveLockfile(templates, lockfile);
+}
+
+/**
+ * Pin one template to a version, leaving the other pins as they are
+ */
+export function pinTemplateVersion(name, version, lockfile = DEFAULT_LOCKFILE) {
+  return saveLockfile({ ...loadLockfile(lockfile), [name]: version }, lockfile);
+}
+
+/**
+ * Resolve a template reference to an exact 'name@version' id.
+ * A locked version is used when it satisfies the requested range;
+ * '@latest' always selects the newest version. References are template
+ * ids with an optional version or range, never file paths.
+ */
+export function resolveTemplateRef(ref, options = {}) {
+  const templateDir = options.templateDir || DEFAULT_TEMPLATE_DIR;
+  const { name, range } = parseTemplateRef(ref);
+
+  if (!TEMPLATE_ID_PATTERN.test(name)) {
+    throw new ValidationError(
+      `Invalid template reference: ${ref}. Use a template id with an optional @version or @range`,
+      'template',
+      ref
+    );
+  }
+
+  // Exact versions need no resolution
+  if (
+    range !== null &&
+    isValidVersion(range) &&
+    fs.existsSync(path.join(templateDir, `${name}@${range}.json`))
+  ) {
+    return `${name}@${range}`;
+  }
+
+  if (range !== null && !isValidRange(range)) {
+    throw new ValidationError(
+      `Invalid version range for template ${name}: ${range}`,
+      'template',
+      ref
+    );
+  }
+
+  const versions = listTemplateVersions(templateDir).get(name) || [];
+  if (versions.length === 0) {
+    throw new ValidationError(`Template not found: ${ref}`, 'template', ref);
+  }
+
+  const pinned = loadLockfile(options.lockfile ?? DEFAULT_LOCKFILE)[name];
+  if (pinned && range !== 'latest' && satisfies(pinned, range ?? '*')) {
+    if (!versions.includes(pinned)) {
+      throw new ValidationError(
+        `Locked version ${name}@${pinned} not found in ${templateDir}`,
+        'template',
+        ref
+      );
+    }
+    return `${name}@${pinned}`;
+  }
+
+  const version = maxSatisfying(versions, range ?? '*');
+  if (!version) {
+    throw new ValidationError(
+      `No version of ${name} satisfies ${range}. Available: ${versions.join(
+        ', '
+      )}`,
+      'template',
+      ref
+    );
+  }
+
+  return `${name}@${version}`;
+}
@@ -0,0 +1,213 @@
+/**
+ * Transcript Parsing
+ *
+ * Parses transcripts into one model, [{ timestamp, start, end, speaker,
+ * text }], from three formats:
+ *
+ *   bracket  [00:00:02] Alice: Let's confirm the launch date.
+ *   vtt      WebVTT captions, with <v Alice> voice tags or "Alice:" prefixes
+ *   srt      SubRip captions, with "Alice:" prefixes
+ *
+ * Caption cues keep their own start and end times; bracket lines end where
+ * the next begins. Captions are rendered as bracket lines for prompts, and
+ * citation ranges like "00:13:22-00:13:45" resolve against the cues.
+ */
+
+import { ValidationError } from './errorHandling.js';
+
+const TIMESTAMP = String.raw`\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d+)?`;
+
+const LINE_PATTERN = new RegExp(
+  String.raw`^\s*\[?(${TIMESTAMP})\]?\s*(?:([^:\n]{1,60}?):\s+)?(.*)$`
+);
+const SPEAKER_PATTERN = /^([^:\n]{1,60}?):\s+(.*)$/s;
+const CUE_TIMESTAMP = String.raw`(?:\d+:)?\d{2}:\d{2}[.,]\d{3}`;
+const CUE_TIMING_PATTERN = new RegExp(
+  String.raw`^\s*(${CUE_TIMESTAMP})\s*-->\s*(${CUE_TIMESTAMP})(?:\s.*)?$`
+);
+const RANGE_PATTERN = new RegExp(
+  String.raw`^\s*\[?(${TIMESTAMP})\]?\s*(?:(?:-|–|—|to)\s*\[?(${TIMESTAMP})\]?)?\s*$`
+);
+
+// "01:02:03", "02:03" or "01:02:03.500" -> seconds
+export function parseTimestamp(timestamp) {
+  const parts = String(timestamp).replace(',', '.').split(':').map(Number);
+  if (parts.some((part) => Number.isNaN(part))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Seconds -> "HH:MM:SS"
+export function formatTimestamp(seconds) {
+  const whole = Math.floor(seconds);
+  return [Math.floor(whole / 3600), Math.floor(whole / 60) % 60, whole % 60]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Parse a citation such as "00:13:22-00:13:45" or "[00:13:22]" into
+ * { start, end } in seconds. Returns null when it is not a time range.
+ */
+export function parseTimeRange(ref) {
+  const match = String(ref).match(RANGE_PATTERN);
+  if (!match) return null;
+
+  const start = parseTimestamp(match[1]);
+  const end = match[2] ? parseTimestamp(match[2]) : start;
+  return { start, end };
+}
+
+export const TRANSCRIPT_FORMATS = ['bracket', 'vtt', 'srt'];
+
+/**
+ * Detect a transcript's format from its file extension (.vtt, .srt) or
+ * its content: a WEBVTT header, or "-->" cue timings (SRT uses a comma
+ * before the milliseconds). Anything else is the bracket format.
+ */
+export function detectTranscriptFormat(text, fileName = '') {
+  const ext = String(fileName).toLowerCase().split('.').pop();
+  if (ext === 'vtt' || ext === 'srt') return ext;
+
+  const content = String(text).replace(/^\uFEFF/, '');
+  if (/^WEBVTT(?:[ \t\r\n]|$)/.test(content)) return 'vtt';
+  const timing = content
+    .split(/\r?\n/)
+    .map((line) => line.match(CUE_TIMING_PATTERN))
+    .find(Boolean);
+  if (timing) return timing[1].includes(',') ? 'srt' : 'vtt';
+  return 'bracket';
+}
+
+// Lines starting with a timestamp; lines without one continue the previous
+function parseBracketed(text) {
+  const lines = [];
+
+  for (const raw of String(text).split(/\r?\n/)) {
+    const match = raw.match(LINE_PATTERN);
+    if (match) {
+      lines.push({
+        timestamp: match[1],
+        start: parseTimestamp(match[1]),
+        end: null,
+        speaker: match[2]?.trim() || null,
+        text: match[3].trim(),
+      });
+    } else if (lines.length > 0 && raw.trim()) {
+      lines.at(-1).text += ` ${raw.trim()}`;
+    }
+  }
+
+  lines.forEach((line, index) => {
+    line.end = index + 1 < lines.length ? lines[index + 1].start : line.start;
+  });
+  return lines;
+}
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' ',
+  '&lrm;': '',
+  '&rlm;': '',
+};
+
+// Cue text without markup; a <v Speaker> voice tag or "Speaker:" prefix
+// becomes the speaker
+function parseCueText(text) {
+  const voice = text.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+  const plain = text
+    .replace(/<[^>]*>/g, '')
+    .replace(
+      /&(?:amp|lt|gt|quot|#39|nbsp|lrm|rlm);/g,
+      (entity) => ENTITIES[entity]
+    )
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (voice) return { speaker: voice[1].trim(), text: plain };
+  const prefixed = plain.match(SPEAKER_PATTERN);
+  return prefixed
+    ? { speaker: prefixed[1].trim(), text: prefixed[2].trim() }
+    : { speaker: null, text: plain };
+}
+
+// VTT and SRT are both blank-line separated cue blocks: an optional
+// identifier, a "start --> end" timing line, then the cue text. Blocks
+// without a timing line (the WEBVTT header, NOTE, STYLE, REGION) are skipped.
+function parseCues(text) {
+  const lines = [];
+
+  for (const block of String(text)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n[ \t]*\r?\n/)) {
+    const blockLines = block.split(/\r?\n/);
+    const timingIndex = blockLines.findIndex((line) =>
+      CUE_TIMING_PATTERN.test(line)
+    );
+    if (timingIndex === -1) continue;
+
+    const [, startTime, endTime] =
+      blockLines[timingIndex].match(CUE_TIMING_PATTERN);
+    const cue = parseCueText(blockLines.slice(timingIndex + 1).join('\n'));
+    if (!cue.text) continue;
+
+    lines.push({
+      timestamp: startTime,
+      start: parseTimestamp(startTime),
+      end: parseTimestamp(endTime),
+      ...cue,
+    });
+  }
+
+  return lines.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a transcript into [{ timestamp, start, end, speaker, text }].
+ * options: { format, fileName }; the format is detected when not given.
+ * Bracket text before the first timestamp is ignored, and the last
+ * bracket line ends where it starts. Caption lines keep the cue's start
+ * as their timestamp.
+ */
+export function parseTranscript(text, options = {}) {
+  const format =
+    options.format || detectTranscriptFormat(text, options.fileName);
+  if (!TRANSCRIPT_FORMATS.includes(format)) {
+    throw new ValidationError(
+      `Unknown transcript format: ${format}. Use ${TRANSCRIPT_FORMATS.join(
+        ', '
+      )}`,
+      'transcript_format',
+      format
+    );
+  }
+
+  return format === 'bracket' ? parseBracketed(text) : parseCues(text);
+}
+
+// Parsed lines as "[HH:MM:SS] Speaker: text" lines
+export function renderTranscript(lines) {
+  return lines
+    .map(
+      (line) =>
+        `[${formatTimestamp(line.start)}] ${
+          line.speaker ? `${line.speaker}: ` : ''
+        }${line.text}`
+    )
+    .join('\n');
+}
+
+/**
+ * Transcript text for prompts: captions are rendered in the bracket
+ * format, and bracket transcripts are returned unchanged
+ */
+export function normalizeTranscript(text, options = {}) {
+  const format =
+    options.format || detectTranscriptFormat(text, options.fileName);
+  return format === 'bracket'
+    ? text
+    : renderTranscript(parseTranscript(text, { format }));
+}
@@ -0,0 +1,191 @@
+/**
+ * Token Usage and Cost Accounting
+ *
+ * Normalizes provider usage data, estimates cost from the price table in
+ * configs/providers.json, and aggregates usage for reporting
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Price table from configs/providers.json (USD per million tokens by model)
+export function loadPricing() {
+  try {
+    const configPath = path.join(__dirname, '../../configs/providers.json');
+    return JSON.parse(fs.readFileSync(configPath, 'utf8')).pricing || {};
+  } catch {
+    return {};
+  }
+}
+
+// Rough heuristic (~4 characters per token) for providers that do not
+// report usage, such as the mock provider
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+export function estimateUsage(prompt, text) {
+  const promptText =
+    typeof prompt === 'string'
+      ? prompt
+      : prompt.map((message) => message.content).join('\n\n');
+  const inputTokens = estimateTokens(promptText);
+  const outputTokens = estimateTokens(text);
+
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    estimated: true,
+  };
+}
+
+export function createUsage(inputTokens = 0, outputTokens = 0) {
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+  };
+}
+
+// Sum usage across several requests (e.g. a generation and its repairs)
+export function combineUsage(...usages) {
+  const present = usages.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const usage = createUsage(
+    present.reduce((sum, item) => sum + (item.inputTokens || 0), 0),
+    present.reduce((sum, item) => sum + (item.outputTokens || 0), 0)
+  );
+  if (present.some((item) => item.estimated)) usage.estimated = true;
+
+  return usage;
+}
+
+/**
+ * Estimate the cost of a generation in USD. Prices are per million tokens,
+ * keyed by model name; the longest matching prefix wins so that dated model
+ * snapshots (e.g. gpt-4o-2024-08-06) pick up their family's price.
+ */
+export function estimateCost(model, usage, pricing = {}) {
+  if (!usage || !model) return null;
+
+  const key = Object.keys(pricing)
+    .filter((name) => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) return null;
+
+  const price = pricing[key];
+  const cost =
+    (usage.inputTokens * (price.input || 0) +
+      usage.outputTokens * (price.output || 0)) /
+    1_000_000;
+
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+export class UsageTracker {
+  constructor(options = {}) {
+    this.pricing = options.pricing || loadPricing();
+    this.file = options.file || null;
+    this.records = [];
+
+    if (this.file && fs.existsSync(this.file)) {
+      this.records = fs
+        .readFileSync(this.file, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    }
+  }
+
+  // Record a generation's usage and return its estimated cost
+  record({ template, provider, model, usage }) {
+    const cost = estimateCost(model, usage, this.pricing);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      template,
+      provider,
+      model,
+      inputTokens: usage?.inputTokens || 0,
+      outputTokens: usage?.outputTokens || 0,
+      cost,
+    };
+
+    this.records.push(entry);
+
+    if (this.file) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+    }
+
+    return cost;
+  }
+
+  /**
+   * Aggregate recorded usage. groupBy is any combination of
+   * 'template', 'provider' and 'day'; from/to are ISO dates (inclusive).
+   */
+  getReport({ groupBy = ['template', 'provider', 'day'], from, to } = {}) {
+    const groups = new Map();
+    const totals = this.emptyTotals();
+
+    for (const record of this.records) {
+      const day = record.timestamp.slice(0, 10);
+      if (from && day < from) continue;
+      if (to && day > to) continue;
+
+      const keys = {
+        template: record.template,
+        provider: record.provider,
+        day,
+      };
+      const group = Object.fromEntries(
+        groupBy.map((field) => [field, keys[field]])
+      );
+      const groupKey = JSON.stringify(group);
+
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { ...group, ...this.emptyTotals() });
+      }
+
+      this.addToTotals(groups.get(groupKey), record);
+      this.addToTotals(totals, record);
+    }
+
+    return {
+      groupBy,
+      currency: 'USD',
+      groups: Array.from(groups.values()),
+      totals,
+    };
+  }
+
+  emptyTotals() {
+    return {
+      generations: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cost: 0,
+      unpricedGenerations: 0,
+    };
+  }
+
+  addToTotals(totals, record) {
+    totals.generations++;
+    totals.inputTokens += record.inputTokens;
+    totals.outputTokens += record.outputTokens;
+
+    if (record.cost === null) {
+      totals.unpricedGenerations++;
+    } else {
+      totals.cost =
+        Math.round((totals.cost + record.cost) * 1_000_000) / 1_000_000;
+    }
+  }
+}
@@ -0,0 +1,346 @@
+/**
+ * YAML Subset
+ *
+ * Just enough YAML for hand-written config files such as workflows/*.yaml:
+ * block mappings and sequences (including "- key: value" items), plain,
+ * single- and double-quoted scalars, flow sequences and mappings
+ * ([a, b], { a: 1 }), literal (|) and folded (>) block scalars with
+ * chomping indicators, and # comments. Anchors, aliases, tags and
+ * multi-document streams are not supported.
+ */
+
+import { ValidationError } from './errorHandling.js';
+
+function yamlError(message, line) {
+  return new ValidationError(
+    `Invalid YAML at line ${line}: ${message}`,
+    'yaml',
+    line
+  );
+}
+
+// Strip a trailing comment: a # at the start or after whitespace, outside
+// quotes
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function plainScalar(text) {
+  if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) return Number(text);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', 0: '\0', '"': '"', '\\': '\\' };
+
+// Parse a flow value (quoted scalar, [..] or {..}) starting at text[i].
+// Returns [value, nextIndex].
+function parseFlow(text, i, line) {
+  const skip = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+  skip();
+  const char = text[i];
+
+  if (char === '"') {
+    let value = '';
+    for (i++; i < text.length && text[i] !== '"'; i++) {
+      if (text[i] === '\\') {
+        const next = text[++i];
+        if (next === 'u') {
+          value += String.fromCharCode(parseInt(text.slice(i + 1, i + 5), 16));
+          i += 4;
+        } else {
+          value += ESCAPES[next] ?? next;
+        }
+      } else {
+        value += text[i];
+      }
+    }
+    if (text[i] !== '"') throw yamlError('unterminated string', line);
+    return [value, i + 1];
+  }
+  if (char === "'") {
+    let value = '';
+    for (i++; i < text.length; i++) {
+      if (text[i] === "'") {
+        if (text[i + 1] !== "'") break;
+        i++;
+      }
+      value += text[i];
+    }
+    if (text[i] !== "'") throw yamlError('unterminated string', line);
+    return [value, i + 1];
+  }
+  if (char === '[' || char === '{') {
+    const close = char === '[' ? ']' : '}';
+    const result = char === '[' ? [] : {};
+    i++;
+    for (;;) {
+      skip();
+      if (text[i] === close) return [result, i + 1];
+      if (i >= text.length) throw yamlError(`missing "${close}"`, line);
+
+      let key;
+      if (close === '}') {
+        [key, i] = parseFlowScalar(text, i, line, ':');
+        skip();
+        if (text[i] !== ':') throw yamlError(`expected ":" after ${key}`, line);
+        i++;
+      }
+      let value;
+      [value, i] = parseFlowScalar(text, i, line, ',' + close);
+      if (close === '}') result[key] = value;
+      else result.push(value);
+
+      skip();
+      if (text[i] === ',') i++;
+      else if (text[i] !== close)
+        throw yamlError(`expected "," or "${close}"`, line);
+    }
+  }
+  return parseFlowScalar(text, i, line, ',]}');
+}
+
+// A value inside flow collections: nested flow, quoted, or plain up to one
+// of the stop characters
+function parseFlowScalar(text, i, line, stops) {
+  while (i < text.length && /\s/.test(text[i])) i++;
+  if (/["'[{]/.test(text[i])) return parseFlow(text, i, line);
+
+  let end = i;
+  while (
+    end < text.length &&
+    !stops.includes(text[end]) &&
+    !(
+      text[end] === ':' &&
+      /\s/.test(text[end + 1] || ' ') &&
+      stops.includes(':')
+    )
+  ) {
+    end++;
+  }
+  return [plainScalar(text.slice(i, end).trim()), end];
+}
+
+// An inline value after "key:" or "- "
+function inlineValue(text, line) {
+  if (/^["'[{]/.test(text)) {
+    const [value, end] = parseFlow(text, 0, line);
+    if (text.slice(end).trim()) {
+      throw yamlError(`unexpected text after value: ${text.slice(end)}`, line);
+    }
+    return value;
+  }
+  return plainScalar(text);
+}
+
+// "key: value" (or "key:"), with plain or quoted keys
+function splitKey(text, line) {
+  let key;
+  let rest;
+  if (text[0] === '"' || text[0] === "'") {
+    let end;
+    [key, end] = parseFlow(text, 0, line);
+    rest = text.slice(end);
+    if (!/^\s*:(\s|$)/.test(rest)) return null;
+    rest = rest.replace(/^\s*:/, '');
+  } else {
+    const match = text.match(/^([^\s:][^:]*?|[^\s:]*?):(\s|$)/);
+    if (!match) return null;
+    key = match[1].trim();
+    rest = text.slice(match[0].length);
+  }
+  return { key: String(key), value: rest.trim() };
+}
+
+class Parser {
+  constructor(text) {
+    this.raw = String(text)
+      .replace(/^\uFEFF/, '')
+      .split(/\r?\n/);
+    this.index = 0;
+  }
+
+  // The next meaningful line: { indent, text, number }, or null at the end
+  peek() {
+    while (this.index < this.raw.length) {
+      const raw = this.raw[this.index];
+      const text = stripComment(raw);
+      if (text.trim() === '' || text.trim() === '---') {
+        this.index++;
+        continue;
+      }
+      if (/^\t/.test(raw)) {
+        throw yamlError('tabs are not allowed for indentation', this.index + 1);
+      }
+      return {
+        indent: raw.length - raw.trimStart().length,
+        text: text.trim(),
+        number: this.index + 1,
+      };
+    }
+    return null;
+  }
+
+  parseBlock(indent) {
+    const line = this.peek();
+    if (!line || line.indent < indent) return null;
+    return /^-(\s|$)/.test(line.text)
+      ? this.parseSequence(line.indent)
+      : this.parseMapping(line.indent);
+  }
+
+  parseSequence(indent) {
+    const items = [];
+    let line;
+    // A sequence under "key:" may share the key's indentation, so it ends
+    // at the first line that is not an item
+    while (
+      (line = this.peek()) &&
+      line.indent === indent &&
+      /^-(\s|$)/.test(line.text)
+    ) {
+      this.index++;
+      const rest = line.text.slice(1).trim();
+      // The item's own content starts after "- "
+      const itemIndent =
+        indent +
+        1 +
+        (line.text.slice(1).length - line.text.slice(1).trimStart().length);
+
+      if (!rest) {
+        items.push(this.parseBlock(indent + 1));
+      } else if (/^-(\s|$)/.test(rest)) {
+        throw yamlError('nested "- -" items are not supported', line.number);
+      } else if (splitKey(rest, line.number) && !/^["'[{]/.test(rest)) {
+        // "- key: value" starts a mapping indented at the key
+        this.index--;
+        this.raw[this.index] = ' '.repeat(itemIndent) + rest;
+        items.push(this.parseMapping(itemIndent));
+      } else {
+        items.push(this.scalarOrBlockScalar(rest, indent, line.number));
+      }
+    }
+    if (line && line.indent > indent) {
+      throw yamlError('unexpected indentation', line.number);
+    }
+    return items;
+  }
+
+  parseMapping(indent) {
+    const mapping = {};
+    let line;
+    while ((line = this.peek()) && line.indent === indent) {
+      const entry = splitKey(line.text, line.number);
+      if (!entry) throw yamlError(`expected "key: value"`, line.number);
+      if (Object.prototype.hasOwnProperty.call(mapping, entry.key)) {
+        throw yamlError(`duplicate key "${entry.key}"`, line.number);
+      }
+      this.index++;
+
+      if (entry.value) {
+        mapping[entry.key] = this.scalarOrBlockScalar(
+          entry.value,
+          indent,
+          line.number
+        );
+        continue;
+      }
+      // A nested block, or a sequence at the same indentation as the key
+      const next = this.peek();
+      if (next && next.indent > indent) {
+        mapping[entry.key] = this.parseBlock(next.indent);
+      } else if (next && next.indent === indent && /^-(\s|$)/.test(next.text)) {
+        mapping[entry.key] = this.parseSequence(indent);
+      } else {
+        mapping[entry.key] = null;
+      }
+    }
+    if (line && line.indent > indent) {
+      throw yamlError('unexpected indentation', line.number);
+    }
+    return mapping;
+  }
+
+  scalarOrBlockScalar(text, indent, number) {
+    const block = text.match(/^([|>])([+-]?)$/);
+    return block
+      ? this.parseBlockScalar(block[1], block[2], indent)
+      : inlineValue(text, number);
+  }
+
+  // Lines indented past the parent, with the common indentation removed
+  parseBlockScalar(style, chomping, parentIndent) {
+    const lines = [];
+    while (this.index < this.raw.length) {
+      const raw = this.raw[this.index];
+      const indent = raw.length - raw.trimStart().length;
+      if (raw.trim() !== '' && indent <= parentIndent) break;
+      lines.push(raw);
+      this.index++;
+    }
+
+    const indents = lines
+      .filter((raw) => raw.trim() !== '')
+      .map((raw) => raw.length - raw.trimStart().length);
+    const common = indents.length > 0 ? Math.min(...indents) : 0;
+    const body = lines.map((raw) => raw.slice(common).trimEnd());
+    while (
+      body.length > 0 &&
+      body[body.length - 1] === '' &&
+      chomping !== '+'
+    ) {
+      body.pop();
+    }
+
+    const text =
+      style === '|'
+        ? body.join('\n')
+        : body
+            .join('\n')
+            .replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+            .replace(/\n\n/g, '\n');
+    if (chomping === '-' || body.length === 0) return text;
+    return text + '\n';
+  }
+}
+
+/**
+ * Parse YAML text (see the supported subset above). An empty document is
+ * null. Throws a ValidationError naming the line for anything else.
+ */
+export function parseYaml(text) {
+  const parser = new Parser(text);
+  const first = parser.peek();
+  if (!first) return null;
+
+  let value;
+  if (/^-(\s|$)/.test(first.text) || splitKey(first.text, first.number)) {
+    value = parser.parseBlock(first.indent);
+  } else {
+    parser.index++;
+    value = inlineValue(first.text, first.number);
+  }
+
+  const extra = parser.peek();
+  if (extra) throw yamlError('unexpected content', extra.number);
+  return value;
+}